@@ -0,0 +1,182 @@
+// The Data Collection Intensity score: which label sections an app's categories
+// fall in, the weights, bonuses and caps, and the curve. Imported by script.js in
+// the browser and by the updater (Node), which stores each app's Balanced score in
+// its dataset so the site doesn't have to recompute it.
+// Bump SCORING_VERSION whenever a change here moves any score: the site only
+// trusts stored scores written with the current version.
+import { CATEGORIES, canonicalPurpose } from "./taxonomy.js";
+
+export const SCORING_VERSION = 1;
+
+export const VALID_CATEGORIES = new Set(CATEGORIES);
+
+/**
+ * The app's categories per label section (each category in one section only,
+ * the most revealing). Per-category flags in privacy_details win; records
+ * without details fall back to the three privacy_labels lists.
+ */
+export function buildChipSections(app) {
+  const details = app.privacy_details || {};
+  const labels = app.privacy_labels || {};
+
+  const track = new Set();
+  const linked = new Set();
+  const notLinked = new Set();
+
+  if (Object.keys(details).length > 0) {
+    for (const [cat, d] of Object.entries(details)) {
+      if (!VALID_CATEGORIES.has(cat)) continue;
+      if (d?.tracked) track.add(cat);
+      else if (d?.linked) linked.add(cat);
+      else if (d?.notLinked) notLinked.add(cat);
+    }
+  } else {
+    (labels["Data Used to Track You"] || [])
+      .filter((c) => VALID_CATEGORIES.has(c))
+      .forEach((c) => track.add(c));
+    (labels["Data Linked to You"] || [])
+      .filter((c) => VALID_CATEGORIES.has(c) && !track.has(c))
+      .forEach((c) => linked.add(c));
+    (labels["Data Not Linked to You"] || [])
+      .filter((c) => VALID_CATEGORIES.has(c) && !track.has(c) && !linked.has(c))
+      .forEach((c) => notLinked.add(c));
+  }
+
+  return { track: [...track], linked: [...linked], notLinked: [...notLinked] };
+}
+
+/** False for apps we haven't scraped (live search results, brand-new chart entries) */
+export function hasPrivacyLabel(app) {
+  return !!(app.privacy_labels || app.privacy_details || app.data_not_collected);
+}
+
+/** Points a purpose adds to each category it is given for (soft influence) */
+export const PURPOSE_BONUS = {
+  "Third-Party Advertising": 6,
+  "Developer's Advertising or Marketing": 4,
+  "Product Personalization": 3,
+  "Analytics": 2,
+  "App Functionality": 0,
+  "Other Purposes": 1
+};
+
+/** Base points per category, by label section */
+export const RISK_WEIGHTS = {
+  track: {
+    "Identifiers": 12, "Location": 12, "Contact Info": 10, "Financial Info": 12,
+    "Health & Fitness": 12, "Browsing History": 10, "Search History": 10, "User Content": 8,
+    "Purchases": 6, "Usage Data": 6, "Diagnostics": 2, "Contacts": 8, "Sensitive Info": 12
+  },
+  linked: {
+    "Identifiers": 9, "Location": 9, "Contact Info": 8, "Financial Info": 9,
+    "Health & Fitness": 9, "Browsing History": 8, "Search History": 8, "User Content": 7,
+    "Purchases": 4, "Usage Data": 4, "Diagnostics": 1, "Contacts": 6, "Sensitive Info": 10
+  },
+  notLinked: {
+    "Identifiers": 2, "Location": 2, "Contact Info": 2, "Financial Info": 2,
+    "Health & Fitness": 2, "Browsing History": 2, "Search History": 2, "User Content": 2,
+    "Purchases": 1, "Usage Data": 1, "Diagnostics": 1, "Contacts": 1, "Sensitive Info": 3
+  }
+};
+export const SECTION_CAPS = { track: 70, linked: 50, notLinked: 20 };
+export const SCORE_SECTIONS = {
+  track: "Data used to track you",
+  linked: "Data linked to you",
+  notLinked: "Data not linked to you"
+};
+export const ALSO_TRACKED_PENALTY = 3; // linked/not-linked detail that is also flagged as tracked
+export const SCORE_RAW_MAX = 140;      // raw total that lands at the top of the curve
+export const SCORE_CURVE_K = 5;        // steepness of the sigmoid
+export const SCORE_BAND_MIN = { High: 66, Medium: 33 };
+
+export function smoothScale(x, max) {
+  const t = Math.max(0, Math.min(1, x / max));
+  return (1 / (1 + Math.exp(-SCORE_CURVE_K * (t - 0.5)))) * 100;
+}
+
+export function scoreBand(score) {
+  if (score >= SCORE_BAND_MIN.High) return "High";
+  if (score >= SCORE_BAND_MIN.Medium) return "Medium";
+  return "Low";
+}
+
+/**
+ * Weights, caps and purpose bonuses for a scoring profile's settings:
+ * multipliers per label section (which also scale that section's cap) and per
+ * category, and replacement purpose bonuses. No settings is Balanced.
+ */
+export function resolveWeights(settings = {}) {
+  const sf = (k) => settings.sectionFactor?.[k] ?? 1;
+  const cf = (c) => settings.categoryFactor?.[c] ?? 1;
+  const weights = {}, caps = {};
+  for (const section of Object.keys(SCORE_SECTIONS)) {
+    weights[section] = Object.fromEntries(Object.entries(RISK_WEIGHTS[section])
+      .map(([cat, w]) => [cat, Math.round(w * sf(section) * cf(cat) * 100) / 100]));
+    caps[section] = Math.round(SECTION_CAPS[section] * sf(section) * 100) / 100;
+  }
+  return { weights, caps, purposeBonus: { ...PURPOSE_BONUS, ...settings.purposeBonus } };
+}
+const BALANCED = resolveWeights();
+
+/**
+ * Score an app with `profile` (from resolveWeights; Balanced by default).
+ * Every step is kept so "Why this score?" can show it.
+ */
+export function computePrivacyScore(app, profile = BALANCED) {
+  const details = app.privacy_details || {};
+  const chips = buildChipSections(app);
+
+  const sections = Object.keys(SCORE_SECTIONS).map((section) => {
+    const weights = profile.weights[section];
+    const cap = profile.caps[section];
+    const items = [...new Set(chips[section].map((s) => String(s).trim()))].map((category) => {
+      const base = weights[category] || 0;
+      const det = details[category];
+      const hasPurposes = Array.isArray(det?.purposes);
+      const bonuses = hasPurposes
+        ? det.purposes.map(canonicalPurpose).filter(Boolean).map((purpose) => ({ purpose, bonus: profile.purposeBonus[purpose] || 0 }))
+        : [];
+      const penalty = hasPurposes && section !== "track" && det.tracked ? ALSO_TRACKED_PENALTY : 0;
+      const total = base + bonuses.reduce((n, b) => n + b.bonus, 0) + penalty;
+      return { category, base, bonuses, penalty, total };
+    });
+    const sum = items.reduce((n, i) => n + i.total, 0);
+    const softened = Math.sqrt(sum) * Math.sqrt(cap);
+    return { section, cap, items, sum, softened, value: Math.min(softened, cap), capped: softened > cap };
+  });
+
+  const [sTrack, sLinked, sNotLinked] = sections.map((s) => s.value);
+  const raw = sTrack + sLinked + sNotLinked;
+  const score = Math.round(smoothScale(raw, SCORE_RAW_MAX));
+
+  return { score, band: scoreBand(score), raw, sections, parts: { sTrack, sLinked, sNotLinked } };
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * The Balanced score fields stored on an app in apps.json (score, band, the
+ * capped points per label section and SCORING_VERSION), or null for an app
+ * without a label.
+ */
+export function storedScore(app) {
+  if (!hasPrivacyLabel(app)) return null;
+  const { score, band, parts } = computePrivacyScore(app);
+  return {
+    score,
+    band,
+    score_parts: { track: round2(parts.sTrack), linked: round2(parts.sLinked), notLinked: round2(parts.sNotLinked) },
+    scoring_version: SCORING_VERSION
+  };
+}
+
+/**
+ * `app` with its stored score fields brought up to date (dropped if it has no
+ * label). Key order is kept, so rescoring an unchanged record is a no-op.
+ */
+export function withStoredScore(app) {
+  const { score, band, score_parts, scoring_version, ...rest } = app;
+  const stored = storedScore(rest);
+  if (!stored) return rest;
+  return score === undefined ? { ...rest, ...stored } : { ...app, ...stored };
+}
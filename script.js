@@ -1,16 +1,42 @@
-'use strict';
+import {
+  LABEL_SECTIONS, PURPOSES, PURPOSE_LABELS, PURPOSE_ALIASES, canonicalPurpose
+} from './taxonomy.js';
+import {
+  SCORING_VERSION, VALID_CATEGORIES, buildChipSections, hasPrivacyLabel, computePrivacyScore, resolveWeights,
+  scoreBand, smoothScale, PURPOSE_BONUS, RISK_WEIGHTS, SCORE_SECTIONS, ALSO_TRACKED_PENALTY, SCORE_RAW_MAX,
+  SCORE_CURVE_K, SCORE_BAND_MIN
+} from './scoring.js';
 
 /* =========================
    App state (three boards)
    ========================= */
 const state = {
   boards: {
-    free:  { apps: [], asOf: '', rangeIndex: 0 },
-    paid:  { apps: [], asOf: '', rangeIndex: 0 },
-    games: { apps: [], asOf: '', rangeIndex: 0 }
+    free:  { apps: [], asOf: '', snapshot: false, rangeIndex: 0 },
+    paid:  { apps: [], asOf: '', snapshot: false, rangeIndex: 0 },
+    games: { apps: [], asOf: '', snapshot: false, rangeIndex: 0 }
   },
   rights: [],
-  localApps: []
+  localApps: [],
+  changelog: {},
+  ranks: null,    // daily chart positions from data/ranks*.json
+  searchResults: [],
+  compare: [],    // apps in the compare tray (max COMPARE_MAX)
+  myApps: [],     // apps the user has marked as installed (identity only, saved locally)
+  scoring: { id: 'balanced', custom: {} }, // active scoring profile (see SCORING_PROFILES)
+  drawerApp: null, // app shown in the drawer, re-rendered when the profile changes
+  views: {        // sort + filter per list (see LIST_SORTS / listFilterMatches)
+    free:   { sort: 'rank', filter: '' },
+    paid:   { sort: 'rank', filter: '' },
+    games:  { sort: 'rank', filter: '' },
+    search: { sort: 'rank', filter: '' }
+  },
+  rightsMeta: {},
+  dataAsOf: '',   // as_of of the storefront's dataset, shown while offline
+  manifest: null, // data/manifest.json: hash per data file (see loadData)
+  country: 'ie',
+  countries: [],  // storefront registry from data/countries.json
+  lang: 'en'      // interface language (see LANGUAGES)
 };
 
 /* =========================
@@ -18,10 +44,24 @@ const state = {
    ========================= */
 const RSS_LIMIT = 50;
 const GENRE_GAMES = 6014;
-const COUNTRY = 'ie';
-const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
-const SEARCH_LIMIT = 25;
+// Apple's RSS feed behind each board
+const BOARD_CHARTS = {
+  free:  { kind: 'topfreeapplications' },
+  paid:  { kind: 'toppaidapplications' },
+  games: { kind: 'topfreeapplications', genre: GENRE_GAMES }
+};
+const DEFAULT_COUNTRY = 'ie';
+// Used when data/countries.json can't be loaded
+const FALLBACK_COUNTRIES = [
+  { code: 'ie', name: 'Ireland', flag: '🇮🇪', dataset: 'apps.json', changelog: 'changelog.json', ranks: 'ranks.json', rights: 'rights_ie.json' }
+];
+const SEARCH_LIMIT = 25;        // live results per "page"
+const SEARCH_MAX = 200;         // the iTunes Search API won't return more than this
+const SEARCH_CACHE_TTL_MS = 10 * 60 * 1000;
+const MANIFEST_POLL_MS = 15 * 60 * 1000; // how often an open page checks data/manifest.json
 const RANGES = [[0,10],[10,20],[20,30],[30,40],[40,50]];
+const SPARK_DAYS = 30;
+const COMPARE_MAX = 4;
 const ALWAYS_SHOW_SECTIONS = true;
 
 const DEFAULT_ICON =
@@ -30,26 +70,73 @@ const DEFAULT_ICON =
 /* =========================
    Helpers
    ========================= */
-async function loadJSON(path){
+// Caching is the service worker's job (sw.js); 'no-cache' only stops the
+// browser's HTTP cache from answering without asking the server
+async function loadJSON(path, { cache = 'no-cache' } = {}){
   const url = new URL(path, document.baseURI);
-  url.searchParams.set('v', Date.now().toString());
-  const res = await fetch(url.toString(), { cache: 'no-store' });
+  const res = await fetch(url.toString(), { cache });
   if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
   return await res.json();
 }
-async function getCached(key, loader, ttlMs = CACHE_TTL_MS){
-  const k = 'ff-cache:'+key;
-  try {
-    const item = JSON.parse(localStorage.getItem(k) || 'null');
-    if (item && (Date.now()-item.t) < ttlMs) return item.v;
-  } catch {}
-  const v = await loader();
-  localStorage.setItem(k, JSON.stringify({t:Date.now(), v}));
-  return v;
+// A data/ file by its hashed URL when the manifest lists it: what's behind
+// that URL never changes, so any cached copy will do
+function loadData(file){
+  const entry = state.manifest?.files?.[file];
+  return entry
+    ? loadJSON(`data/${file}?v=${entry.hash}`, { cache: 'force-cache' })
+    : loadJSON(`data/${file}`);
+}
+function escapeHTML(s){
+  return String(s ?? '').replace(/[&<>"']/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' }[c]));
 }
 function normaliseName(n){ return (n||'').toLowerCase().replace(/\s+/g,' ').trim(); }
 function appKey(a){ return `${normaliseName(a.name)}|${normaliseName(a.developer)}`; }
 
+/* =========================
+   Safe HTML (escape by default)
+   ========================= */
+// Markup only reaches the page as html`…` through setHTML. Every ${value} in
+// html`…` is escaped unless it is html`…` (or raw()) itself; arrays are
+// joined and null, undefined and false render as nothing. App names, labels
+// and links come from Apple's feeds and search, so none of it is trusted.
+class SafeHTML {
+  constructor(markup){ this.markup = markup; }
+  toString(){ return this.markup; }
+}
+function htmlValue(v){
+  if (v instanceof SafeHTML) return v.markup;
+  if (Array.isArray(v)) return v.map(htmlValue).join('');
+  if (v == null || v === false) return '';
+  return escapeHTML(v);
+}
+function html(strings, ...values){
+  return new SafeHTML(strings.reduce((out, s, i) => out + htmlValue(values[i - 1]) + s));
+}
+// Markup written in this file or the message catalogues (never data)
+function raw(markup){ return new SafeHTML(String(markup ?? '')); }
+function joinHTML(items, separator){
+  return raw(items.map(htmlValue).join(htmlValue(separator)));
+}
+// A catalogue message that contains markup; its {vars} are escaped unless html`…`
+function tHTML(key, vars = {}){
+  return raw(t(key, Object.fromEntries(Object.entries(vars).map(([k, v]) => [k, htmlValue(v)]))));
+}
+// Links from the data: only http(s) URLs pass, anything else (javascript:,
+// data:, …) comes back as '' so the caller can leave the link out
+function safeUrl(url){
+  if (!url) return '';
+  try {
+    const u = new URL(String(url), document.baseURI);
+    return u.protocol === 'https:' || u.protocol === 'http:' ? u.href : '';
+  } catch { return ''; }
+}
+// The one way into innerHTML: html`…` as markup, anything else as plain text
+function setHTML(el, content){
+  if (!el) return;
+  if (content instanceof SafeHTML) el.innerHTML = content.markup;
+  else el.textContent = content ?? '';
+}
+
 /* =========================
    Merge RSS + local data
    ========================= */
@@ -75,6 +162,11 @@ function mergeAppsByName(rssApps, localApps){
       privacy_details: hit.privacy_details,
       privacy_policy_url: hit.privacy_policy_url,
       developer_website_url: hit.developer_website_url,
+      privacy_policy: hit.privacy_policy,
+      metadata: hit.metadata,
+      data_not_collected: hit.data_not_collected,
+      label_as_of: hit.label_as_of,
+      score: hit.score, band: hit.band, scoring_version: hit.scoring_version,
       app_id: hit.app_id || r.app_id
     } : r;
   });
@@ -84,8 +176,10 @@ function mergeAppsByName(rssApps, localApps){
    Sharing + Permalink
    ========================= */
 function appPermalink(app) {
-  const u = new URL(location.href);
-  u.searchParams.set('app', app.name);
+  const u = new URL(location.pathname, location.origin);
+  u.searchParams.set('app', app.app_id || app.name);
+  const profile = encodeScoringProfile();
+  if (profile) u.searchParams.set('profile', profile);
   return u.toString();
 }
 function showToast(msg) {
@@ -96,23 +190,31 @@ function showToast(msg) {
   clearTimeout(showToast._t);
   showToast._t = setTimeout(() => el.classList.remove('show'), 1400);
 }
+// Save `text` as a file via a temporary object URL
+function downloadFile(name, text, type = 'text/plain'){
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 async function shareApp(app) {
   const url = appPermalink(app);
-  const title = `${app.name} – data collection overview`;
-  const text =
-    `${app.name} by ${app.developer || 'Developer'}\nSee data types and collection intensity meter.`;
+  const title = t('share.title', { name: app.name });
+  const text = t('share.text', { name: app.name, developer: app.developer || t('card.developer') });
   if (navigator.share) {
     try { await navigator.share({ title, text, url }); return; }
     catch(_) {}
   }
-  try { await navigator.clipboard.writeText(url); showToast('Link copied'); }
-  catch { window.prompt('Copy this link:', url); }
+  try { await navigator.clipboard.writeText(url); showToast(t('toast.linkCopied')); }
+  catch { window.prompt(t('share.copyPrompt'), url); }
 }
 
 /* =========================
    Apple APIs
    ========================= */
-function rssUrl({ kind, limit=50, country=COUNTRY, genre }){
+function rssUrl({ kind, limit=50, country=state.country, genre }){
   const base = `https://itunes.apple.com/${country}/rss/${kind}/limit=${limit}`;
   const g = genre ? `/genre=${genre}` : '';
   return `${base}${g}/json`;
@@ -137,77 +239,135 @@ async function fetchAppleChart({ kind, limit=50, genre }){
       sources: link ? [{label:'App Store (RSS)', url: link}] : []
     };
   });
-  return { as_of: new Date().toLocaleDateString(), apps };
+  // The feed's own date, so a copy served from the offline cache isn't shown as today's
+  const updated = Date.parse(data.feed?.updated?.label || '');
+  return { as_of: new Date(Number.isNaN(updated) ? Date.now() : updated).toISOString().slice(0, 10), apps };
+}
+
+/* =========================
+   Live App Store search (iTunes Search API)
+   ========================= */
+const searchCache = new Map();  // `${country}:${term}` -> { t, limit, apps }
+let searchAbort = null;         // controller for the user's in-flight search
+
+function searchUrl(term, limit, country=state.country){
+  const q = new URLSearchParams({ term, country, entity: 'software', limit: String(limit) });
+  return `https://itunes.apple.com/search?${q}`;
+}
+function appFromSearchResult(r){
+  return {
+    name: r.trackName || '',
+    platform: 'iOS',
+    developer: r.artistName || '',
+    icon: r.artworkUrl512 || r.artworkUrl100 || null,
+    app_id: String(r.trackId),
+    sources: r.trackViewUrl ? [{ label: 'App Store', url: r.trackViewUrl }] : []
+  };
+}
+// Cached per storefront and term; a larger cached page also answers a smaller request
+async function itunesSearch(term, limit, signal){
+  const key = `${state.country}:${term}`;
+  const hit = searchCache.get(key);
+  if (hit && Date.now() - hit.t < SEARCH_CACHE_TTL_MS && hit.limit >= limit) return hit.apps.slice(0, limit);
+  const res = await fetch(searchUrl(term, limit), { signal });
+  if (!res.ok) throw new Error(`iTunes Search HTTP ${res.status}`);
+  const data = await res.json();
+  const apps = (data.results || [])
+    .filter(r => r.trackId && (!r.kind || r.kind === 'software'))
+    .map(appFromSearchResult);
+  searchCache.set(key, { t: Date.now(), limit, apps });
+  return apps;
+}
+/**
+ * Live results for what the user typed. Starting a new search cancels the
+ * previous one (callers should ignore AbortError). The API has no offset, so
+ * paging asks for a bigger `limit` and the caller shows the extra results.
+ */
+async function liveSearchAllApps(term, limit=SEARCH_LIMIT){
+  if (searchAbort) searchAbort.abort();
+  const ctrl = new AbortController();
+  searchAbort = ctrl;
+  try { return await itunesSearch(term, Math.min(limit, SEARCH_MAX), ctrl.signal); }
+  finally { if (searchAbort === ctrl) searchAbort = null; }
+}
+// Attach our analysed label to a live result: by app_id, else exact name + developer
+function withLocalPrivacy(app){
+  const hit = (state.localApps || []).find(a => a.app_id && String(a.app_id) === app.app_id)
+           || (state.localApps || []).find(a => appKey(a) === appKey(app));
+  if (!hit) return app;
+  return {
+    ...app,
+    tracking_summary: hit.tracking_summary,
+    privacy_labels: hit.privacy_labels,
+    privacy_details: hit.privacy_details,
+    data_not_collected: hit.data_not_collected,
+    privacy_policy_url: hit.privacy_policy_url,
+    developer_website_url: hit.developer_website_url,
+    privacy_policy: hit.privacy_policy,
+    metadata: hit.metadata,
+    label_as_of: hit.label_as_of,
+    score: hit.score,
+    band: hit.band,
+    scoring_version: hit.scoring_version
+  };
+}
+// One app by id, for deep links to apps outside the charts and search results
+async function lookupAppById(id){
+  const q = new URLSearchParams({ id, country: state.country });
+  const res = await fetch(`https://itunes.apple.com/lookup?${q}`);
+  if (!res.ok) throw new Error(`iTunes Lookup HTTP ${res.status}`);
+  const data = await res.json();
+  const r = (data.results || []).find(x => String(x.trackId) === String(id));
+  return r ? appFromSearchResult(r) : null;
+}
+// Higher-res artwork for cards whose RSS icon fails; remembered in localStorage ("art:" keys)
+async function findArtworkBySearch(name, developer){
+  const key = `art:${state.country}:${normaliseName(name)}|${normaliseName(developer)}`;
+  const saved = localStorage.getItem(key);
+  if (saved) return saved;
+  try {
+    const apps = await itunesSearch(name, 5);
+    const hit = apps.find(a => appKey(a) === appKey({ name, developer }))
+             || apps.find(a => normaliseName(a.name) === normaliseName(name));
+    if (hit?.icon) localStorage.setItem(key, hit.icon);
+    return hit?.icon || null;
+  } catch { return null; }
+}
+function viaProxy(url){
+  return `https://images.weserv.nl/?url=${encodeURIComponent(url.replace(/^https?:\/\//, ''))}`;
 }
 
 /* =========================
    Chips + icons (new)
    ========================= */
-const VALID_CATEGORIES = new Set([
-  "Contact Info","Identifiers","User Content","Usage Data","Diagnostics",
-  "Location","Purchases","Financial Info","Health & Fitness","Sensitive Info",
-  "Browsing History","Search History","Contacts","Messages","Photos or Videos",
-  "Audio Data","Other Data","Education","Fitness"
-]);
 const CHIP_ICONS = {
   "Purchases":"🛒","Identifiers":"🆔","Usage Data":"📈","Diagnostics":"🛠️",
   "Location":"📍","Contact Info":"📞","User Content":"📝","Financial Info":"💳",
-  "Contacts":"👥","Messages":"💬","Photos or Videos":"📷","Audio Data":"🎤",
-  "Browsing History":"🧭","Search History":"🔎","Sensitive Info":"⚠️","Other Data":"📦",
-  "Health & Fitness":"🏃","Education":"🎓","Fitness":"🏋️"
+  "Contacts":"👥","Browsing History":"🧭","Search History":"🔎","Sensitive Info":"⚠️",
+  "Other Data":"📦","Health & Fitness":"🏃"
 };
 
-// ✅ Fix: Trust Apple’s “privacy_labels” as authoritative, fallback to details
-function buildChipSections(app) {
-  const details = app.privacy_details || {};
-  const labels  = app.privacy_labels  || {};
-
-  const track = new Set();
-  const linked = new Set();
-  const notLinked = new Set();
-
-  const hasDetails = Object.keys(details).length > 0;
-
-  if (hasDetails) {
-    // Prefer per-category flags from privacy_details
-    for (const [cat, d] of Object.entries(details)) {
-      if (!VALID_CATEGORIES.has(cat)) continue;
-      if (d?.tracked)      track.add(cat);
-      else if (d?.linked)  linked.add(cat);
-      else if (d?.notLinked) notLinked.add(cat);
-    }
-  } else {
-    // Fall back to the three arrays in privacy_labels
-    (labels["Data Used to Track You"] || [])
-      .filter(c => VALID_CATEGORIES.has(c))
-      .forEach(c => track.add(c));
-
-    (labels["Data Linked to You"] || [])
-      .filter(c => VALID_CATEGORIES.has(c) && !track.has(c))
-      .forEach(c => linked.add(c));
-
-    (labels["Data Not Linked to You"] || [])
-      .filter(c => VALID_CATEGORIES.has(c) && !track.has(c) && !linked.has(c))
-      .forEach(c => notLinked.add(c));
-  }
-
-  return {
-    track:     Array.from(track),
-    linked:    Array.from(linked),
-    notLinked: Array.from(notLinked)
-  };
+function labelPendingHTML(app){
+  const store = (app.sources || []).map(s => safeUrl(s.url)).find(u => /^https:\/\/apps\.apple\.com\//.test(u));
+  return html`<p class="muted small label-pending">${t('label.pending')}${
+    store ? html` <a href="${store}" target="_blank" rel="noopener">${t('label.onAppStore')}</a>.` : ''}</p>`;
+}
+// An app's source links; ones that aren't http(s) are dropped
+function sourceLinks(sources, fallbackLabel){
+  return (sources || [])
+    .map(s => ({ url: safeUrl(s.url), label: s.label || fallbackLabel }))
+    .filter(s => s.url)
+    .map(s => html`<a href="${s.url}" target="_blank" rel="noopener">${s.label}</a>`);
 }
-
 function chipHTML(label){
   const icon = CHIP_ICONS[label] || "";
-  return `<li data-term="${label}"><span class="chip-ico">${icon}</span>${label}</li>`;
+  return html`<li data-term="${label}"><span class="chip-ico">${icon}</span>${categoryLabel(label)}</li>`;
 }
 function renderChipSection(title, items, headingIcon=null, showEmpty=ALWAYS_SHOW_SECTIONS){
-  const chips = items.map(chipHTML).join('');
-  const body = items.length ? `<ul>${chips}</ul>`
-                            : (showEmpty ? `<p class="muted small">None disclosed.</p>` : '');
-  const iconEl = headingIcon ? `<span class="h-icon">${headingIcon}</span>` : '';
-  return `<h5>${iconEl}${title}</h5>${body}`;
+  const body = items.length ? html`<ul>${items.map(chipHTML)}</ul>`
+                            : (showEmpty ? html`<p class="muted small">${t('section.none')}</p>` : '');
+  const iconEl = headingIcon ? html`<span class="h-icon">${headingIcon}</span>` : '';
+  return html`<h5>${iconEl}${title}</h5>${body}`;
 }
 /* =========================
    Plain-English summary (fallback)
@@ -216,82 +376,45 @@ function fallbackTrackingSummary(sections){
   const { track, linked, notLinked } = sections;
   let line = '';
   if (track.length && linked.length) {
-    line = 'This app says it collects some data and may use some of it to track you across apps and websites.';
+    line = t('summary.trackAndLinked');
   } else if (track.length) {
-    line = 'This app says some data may be used to track you across apps and websites.';
+    line = t('summary.track');
   } else if (linked.length) {
-    line = 'This app says some data may be collected and linked to your identity.';
+    line = t('summary.linked');
   } else if (notLinked.length) {
-    line = 'This app says it collects some data that it does not link to you.';
+    line = t('summary.notLinked');
   } else {
-    line = 'No data-collection categories were disclosed by the developer.';
+    line = t('summary.none');
+  }
+  const examples = [...new Set([...track, ...linked, ...notLinked])].slice(0, 3).map(categoryLabel);
+  const tail = examples.length ? html` <span class="muted small">${t('summary.examples', { list: examples.join(', ') })}</span>` : '';
+  return html`<p>${line}${tail}</p>`;
+}
+// The dataset's own summary lines are English; other languages get the generated one
+function trackingSummaryHTML(app, sections){
+  if (state.lang === DEFAULT_LANG && app.tracking_summary?.length) {
+    return html`<ul>${app.tracking_summary.map(line => html`<li>${line}</li>`)}</ul>`;
   }
-  const examples = [...new Set([...track, ...linked, ...notLinked])].slice(0, 3);
-  const tail = examples.length ? ` <span class="muted small">Examples: ${examples.join(', ')}.</span>` : '';
-  return `<p>${line}${tail}</p>`;
+  return fallbackTrackingSummary(sections);
 }
 
 /* =========================
-   Purpose mapping (for drawer + scoring)
+   Purpose details (names and order come from taxonomy.js)
    ========================= */
-const PURPOSE_ORDER = [
-  "Third-Party Advertising",
-  "Developer's Advertising or Marketing",
-  "Analytics",
-  "Product Personalization",
-  "App Functionality",
-  "Fraud Prevention, Security, and Compliance",
-  "Other Purposes"
-];
-const PURPOSE_LABELS = {
-  "Third-Party Advertising": "Third-party advertising",
-  "Developer's Advertising or Marketing": "Developer’s advertising or marketing",
-  "Analytics": "Analytics",
-  "Product Personalization": "Product personalisation",
-  "App Functionality": "App functionality",
-  "Fraud Prevention, Security, and Compliance": "Fraud prevention & compliance",
-  "Other Purposes": "Other purposes"
-};
-// bonuses used in scoring (soft influence)
-const PURPOSE_BONUS = {
-  "Advertising": 6,
-  "Developer's Advertising": 4,
-  "Product Personalization": 3,
-  "Analytics": 2,
-  "Fraud Prevention": 3,
-  "App Functionality": 0,
-  "Other Purposes": 1
-};
-// normalise Apple text → our buckets
-const PURPOSE_ALIASES = {
-  "Third-Party Advertising": "Advertising",
-  "Third Party Advertising": "Advertising",
-  "Advertising": "Advertising",
-  "Developer's Advertising or Marketing": "Developer's Advertising",
-  "Developer’s Advertising or Marketing": "Developer's Advertising",
-  "Analytics": "Analytics",
-  "Product Personalization": "Product Personalization",
-  "Product Personalisation": "Product Personalization",
-  "Personalization": "Product Personalization",
-  "Personalisation": "Product Personalization",
-  "App Functionality": "App Functionality",
-  "Fraud Prevention, Security, and Compliance": "Fraud Prevention",
-  "Fraud Prevention": "Fraud Prevention",
-  "Security": "Fraud Prevention",
-  "Compliance": "Fraud Prevention",
-  "Other Purposes": "Other Purposes",
-  "Other": "Other Purposes"
-};
-function normalizePurpose(p){ return PURPOSE_ALIASES[p] || p; }
-
 // turn a per-category detail block into display rows by purpose
 function groupCategoryDetailsByPurpose(catDetail){
   if (!catDetail) return null;
   const subItems = Array.isArray(catDetail.subtypes) ? catDetail.subtypes : [];
-  const set = new Set(Array.isArray(catDetail.purposes) ? catDetail.purposes : []);
-  const grouped = PURPOSE_ORDER
+  const set = new Set((Array.isArray(catDetail.purposes) ? catDetail.purposes : []).map(canonicalPurpose));
+  // With per-section detail, a purpose lists the data types of the sections that give it
+  const sections = Object.values(catDetail.sections || {});
+  const itemsFor = p => {
+    const within = sections.filter(s => (s.purposes || []).map(canonicalPurpose).includes(p));
+    return within.length ? [...new Set(within.flatMap(s => s.subtypes || []))] : subItems;
+  };
+  const grouped = PURPOSES
     .filter(p => set.has(p))
-    .map(p => ({ purpose: p, label: PURPOSE_LABELS[p] || p, items: subItems }));
+    .map(p => ({ purpose: p, label: purposeLabel(p), items: itemsFor(p) }));
   return {
     status: {
       tracked: !!catDetail.tracked,
@@ -309,15 +432,16 @@ function groupCategoryDetailsByPurpose(catDetail){
 let GLOSSARY = null;
 async function loadGlossary(){
   if (GLOSSARY) return GLOSSARY;
-  try { GLOSSARY = await loadJSON('data/glossary.json'); }
+  try { GLOSSARY = await loadData('glossary.json'); }
   catch { GLOSSARY = { terms:{} }; }
   return GLOSSARY;
 }
-function openDrawerHTML(title, html){
+function openDrawerHTML(title, content){
   const d = document.getElementById('glossary-drawer');
   const b = document.getElementById('drawer-backdrop');
-  document.getElementById('glossary-title').textContent = title || 'Privacy term';
-  document.getElementById('glossary-body').innerHTML = html || '<p>No description available.</p>';
+  document.getElementById('glossary-title').textContent = title || t('drawer.title');
+  setHTML(document.getElementById('glossary-body'), content || html`<p>${t('drawer.empty')}</p>`);
+  state.drawerApp = null;
   d.classList.add('open');
   d.setAttribute('aria-hidden','false');
   b.hidden = false;
@@ -328,85 +452,1065 @@ function closeDrawer(){
   d.classList.remove('open');
   d.setAttribute('aria-hidden','true');
   b.hidden = true;
+  state.drawerApp = null;
+}
+
+/* =========================
+   App detail drawer + label history
+   ========================= */
+// Change log events in words: change.<section>.added / .removed name the label section
+function describeChange(c){
+  const category = categoryLabel(c.category);
+  const purposes = list => list.map(purposeLabel).join(', ');
+  switch (c.type) {
+    case 'category_added':
+    case 'category_removed': {
+      const change = c.type === 'category_added' ? 'added' : 'removed';
+      const key = hasMessage(`change.${c.section}.${change}`) ? `change.${c.section}.${change}` : `change.${change}`;
+      return t(key, { category });
+    }
+    case 'purposes_changed': {
+      const parts = [];
+      if (c.added.length)   parts.push(t('change.purposesAdded', { purposes: purposes(c.added) }));
+      if (c.removed.length) parts.push(t('change.purposesRemoved', { purposes: purposes(c.removed) }));
+      return t('change.purposes', { category, changes: parts.join('; ') });
+    }
+    case 'policy_url_changed': return t(c.to ? 'change.policyUrl' : 'change.policyUrlRemoved');
+    case 'policy_text_changed': return t('change.policyText');
+    default: return t('change.other');
+  }
+}
+function historyTimelineHTML(app){
+  const events = (state.changelog[app?.app_id]?.events || []).slice().sort((a,b) => b.date.localeCompare(a.date));
+  if (!events.length) {
+    return html`<p class="muted small">${t('history.none')}</p>`;
+  }
+  return html`<ol class="history">${events.map(e => html`
+    <li>
+      <time datetime="${e.date}">${formatDate(e.date)}</time>
+      <ul>${e.changes.map(c => html`<li class="change ${c.type}">${describeChange(c)}</li>`)}</ul>
+    </li>`)}</ol>`;
+}
+// Kinds of third party the policy analysis knows (policy.kind.<kind> in the catalogues)
+const THIRD_PARTY_KINDS = ['advertising', 'attribution', 'analytics', 'diagnostics', 'messaging', 'support', 'crm', 'payments', 'hosting'];
+const MIN_POLICY_WORDS = 150; // less than this and the page probably needed JavaScript to render
+function policyRow(title, body){
+  return html`<div class="purpose-row"><div class="purpose-title">${title}</div><div class="purpose-items">${body}</div></div>`;
+}
+// Signals the updater pulled out of the app's privacy policy text (scripts/policy-analysis.mjs)
+function policyInsightsHTML(app){
+  const p = app.privacy_policy;
+  const url = safeUrl(app.privacy_policy_url);
+  const link = url
+    ? html`<a href="${url}" target="_blank" rel="noopener">${t('policy.link')}</a>`
+    : t('policy.link');
+  if (!p) {
+    return url
+      ? html`<p class="muted small">${tHTML('policy.notAnalysed', { link })}</p>`
+      : html`<p class="muted small">${t('policy.noLink')}</p>`;
+  }
+  if ((p.word_count || 0) < MIN_POLICY_WORDS) {
+    return html`<p class="muted small">${tHTML('policy.tooShort', { link })}</p>`;
+  }
+
+  const quote = (text) => html`<span class="muted small">“${text}”</span>`;
+  const chips = (items) => items.map(i => html`<span class="chip soft">${i}</span>`);
+  const none = (key) => html`<span class="muted small">${t(key)}</span>`;
+  const rows = [];
+
+  const byKind = {};
+  p.third_parties.forEach(tp => (byKind[tp.kind] ||= []).push(tp.name));
+  const kindLabel = kind => THIRD_PARTY_KINDS.includes(kind) ? t(`policy.kind.${kind}`) : kind;
+  rows.push(policyRow(t('policy.thirdParties'), p.third_parties.length
+    ? chips(Object.entries(byKind).map(([kind, names]) => `${kindLabel(kind)}: ${names.join(', ')}`))
+    : none('policy.noThirdParties')));
+
+  rows.push(policyRow(t('policy.retention'), p.retention.length
+    ? html`<ul class="policy-quotes">${p.retention.map(r => html`<li><strong>${r.period}</strong> ${quote(r.text)}</li>`)}</ul>`
+    : none('policy.noRetention')));
+
+  rows.push(policyRow(t('policy.controller'), p.controller
+    ? (p.controller.name ? html`<span>${p.controller.name}</span>` : quote(p.controller.text))
+    : none('policy.noController')));
+
+  rows.push(policyRow(t('policy.dpo'), p.dpo
+    ? (p.dpo.email ? html`<a href="mailto:${p.dpo.email}">${p.dpo.email}</a>` : quote(p.dpo.text))
+    : none('policy.noDpo')));
+
+  rows.push(policyRow(t('policy.transfers'), p.transfers.length
+    ? chips(p.transfers)
+    : none('policy.noTransfers')));
+
+  rows.push(policyRow(t('policy.dpc'), p.mentions_dpc
+    ? html`<span>${t('policy.dpcMentioned')}</span> ${p.dpc_text ? quote(p.dpc_text) : ''}`
+    : none('policy.noDpc')));
+
+  const read = p.changed_on && p.changed_on !== p.fetched_on
+    ? tHTML('policy.readChanged', { link, date: formatDate(p.fetched_on), changed: formatDate(p.changed_on) })
+    : tHTML('policy.read', { link, date: formatDate(p.fetched_on) });
+  return html`
+    ${rows}
+    <p class="muted small">${read} ${t('policy.caveat')}</p>`;
+}
+// App Store facts from the updater's iTunes Lookup (apps.json `metadata`)
+function formatCount(n){
+  if (!Number.isFinite(n)) return '';
+  if (n >= 1e6) return `${(n/1e6).toFixed(n >= 1e7 ? 0 : 1)}M`;
+  if (n >= 1e3) return `${(n/1e3).toFixed(n >= 1e4 ? 0 : 1)}k`;
+  return String(n);
+}
+function ratingText(m){
+  if (!Number.isFinite(m?.rating)) return '';
+  return `★ ${m.rating.toFixed(1)}${m.rating_count ? ` (${formatCount(m.rating_count)})` : ''}`;
+}
+function cardMetaLine(app){
+  const m = app.metadata;
+  if (!m) return '';
+  return [m.genre, m.age_rating, ratingText(m), m.formatted_price].filter(Boolean).join(' · ');
+}
+function appFactsHTML(app){
+  const m = app.metadata;
+  if (!m) return '';
+  const rating = Number.isFinite(m.rating) && (m.rating_count
+    ? t('facts.ratingFrom', { rating: m.rating.toFixed(1), count: m.rating_count, total: m.rating_count.toLocaleString(LANGUAGES[state.lang].locale) })
+    : t('facts.ratingValue', { rating: m.rating.toFixed(1) }));
+  const rows = [
+    ['facts.genre', m.genre],
+    ['facts.price', m.formatted_price],
+    ['facts.ageRating', m.age_rating],
+    ['facts.rating', rating],
+    ['facts.version', m.version && (m.updated_on ? t('facts.versionUpdated', { version: m.version, date: formatDate(m.updated_on) }) : m.version)],
+    ['facts.requires', m.minimum_os && t('facts.requiresValue', { version: m.minimum_os })],
+    ['facts.bundleId', m.bundle_id]
+  ].filter(([, v]) => v);
+  const sellerUrl = safeUrl(m.seller_url);
+  const seller = sellerUrl
+    ? html`<div class="drawer-row"><strong>${t('facts.seller')}</strong> <a href="${sellerUrl}" target="_blank" rel="noopener">${new URL(sellerUrl).host}</a></div>`
+    : '';
+  return html`
+    <div class="drawer-block">
+      ${rows.map(([k, v]) => html`<div class="drawer-row"><strong>${t(k)}</strong> ${v}</div>`)}
+      ${seller}
+      <p class="muted small">${t('facts.source', { date: formatDate(m.as_of) })}</p>
+    </div>`;
+}
+function openAppDrawer(app){
+  const sections = buildChipSections(app);
+  const summary = hasPrivacyLabel(app) ? trackingSummaryHTML(app, sections) : labelPendingHTML(app);
+  const checked = app.label_as_of ? html`<p class="muted small">${t('app.checked', { date: formatDate(app.label_as_of) })}</p>` : '';
+  const content = html`
+    <p class="muted">${app.developer || ''}</p>
+    ${summary}
+    ${checked}
+    ${hasPrivacyLabel(app) ? html`<div class="purpose-grid">
+      <h5 class="purpose-heading">${t('risk.title')}</h5>
+      ${scoreWhyHTML(app)}
+    </div>` : ''}
+    ${app.metadata ? html`<div class="purpose-grid">
+      <h5 class="purpose-heading">${t('app.about')}</h5>
+      ${appFactsHTML(app)}
+    </div>` : ''}
+    <div class="purpose-grid">
+      <h5 class="purpose-heading">${t('app.policy')}</h5>
+      ${policyInsightsHTML(app)}
+    </div>
+    <div class="purpose-grid">
+      <h5 class="purpose-heading">${t('app.history')}</h5>
+      ${historyTimelineHTML(app)}
+    </div>
+    ${state.rightsMeta?.letters ? html`<p><button type="button" class="range-btn" data-letter-app>${t('app.letter', { developer: app.developer || t('app.thisDeveloper') })}</button></p>` : ''}
+  `;
+  openDrawerHTML(app.name, content);
+  state.drawerApp = app;
+}
+
+/* =========================
+   Risk meter (purpose-aware; the engine is in scoring.js)
+   ========================= */
+// Score and band with the active profile. For Balanced the updater has already
+// stored them in the dataset; those are used unless an older engine wrote them.
+function appScore(app){
+  if (state.scoring.id === 'balanced' && app.scoring_version === SCORING_VERSION && Number.isFinite(app.score)) {
+    return { score: app.score, band: app.band };
+  }
+  return computePrivacyScore(app, activeScoringProfile());
+}
+function renderRiskMeter(containerEl, app){
+  const { score, band } = appScore(app);
+  const pct = Math.max(0, Math.min(100, score));
+  const bandClass = band === 'High' ? 'high' : (band === 'Medium' ? 'med' : 'low');
+  setHTML(containerEl, html`
+    <div class="risk-label">
+      ${t('risk.title')}
+      <span class="risk-badge ${bandClass}">${t(`band.${band}`)}</span>
+      ${state.scoring.id !== 'balanced' ? html`<span class="muted small">· ${profileLabel()}</span>` : ''}
+    </div>
+    <div class="risk-track" role="img" aria-label="${t('risk.aria', { score: Math.round(pct) })}">
+      <div class="risk-marker" title="${Math.round(pct)}/100"></div>
+    </div>
+    <div class="risk-scale"><span>${t('risk.low')}</span><span>${t('risk.medium')}</span><span>${t('risk.high')}</span></div>
+  `);
+  // Set through the DOM: the Content-Security-Policy blocks inline style attributes
+  containerEl.querySelector('.risk-marker').style.left = `${pct}%`;
 }
 
 /* =========================
-   Risk meter (purpose-aware)
+   Scoring profiles (presets + custom sliders)
    ========================= */
-const RISK_WEIGHTS = {
-  track: {
-    "Identifiers": 12, "Location": 12, "Contact Info": 10, "Financial Info": 12,
-    "Health & Fitness": 12, "Browsing History": 10, "Search History": 10, "User Content": 8,
-    "Purchases": 6, "Usage Data": 6, "Diagnostics": 2, "Photos or Videos": 8,
-    "Audio Data": 6, "Messages": 10, "Contacts": 8, "Sensitive Info": 12
+// A profile only stores what differs from Balanced: multipliers per label
+// section (which also scale that section's cap) and per category, and
+// replacement purpose bonuses. Names and descriptions are in the message
+// catalogues (profile.<id>, profile.<id>.about).
+const SCORING_PROFILES = {
+  balanced:  {},
+  ads:       {
+    sectionFactor: { track: 1.5, notLinked: 0.5 },
+    purposeBonus: {
+      "Third-Party Advertising": 12, "Developer's Advertising or Marketing": 8, "Product Personalization": 5, "Analytics": 3
+    }
   },
-  linked: {
-    "Identifiers": 9, "Location": 9, "Contact Info": 8, "Financial Info": 9,
-    "Health & Fitness": 9, "Browsing History": 8, "Search History": 8, "User Content": 7,
-    "Purchases": 4, "Usage Data": 4, "Diagnostics": 1, "Photos or Videos": 7,
-    "Audio Data": 5, "Messages": 8, "Contacts": 6, "Sensitive Info": 10
+  sensitive: {
+    categoryFactor: {
+      "Sensitive Info": 2.5, "Health & Fitness": 2, "Financial Info": 2, "Location": 1.5, "Contacts": 1.5,
+      "User Content": 1.5, "Browsing History": 1.5, "Search History": 1.5,
+      "Usage Data": 0.75, "Purchases": 0.75, "Diagnostics": 0.5
+    }
   },
-  notLinked: {
-    "Identifiers": 2, "Location": 2, "Contact Info": 2, "Financial Info": 2,
-    "Health & Fitness": 2, "Browsing History": 2, "Search History": 2, "User Content": 2,
-    "Purchases": 1, "Usage Data": 1, "Diagnostics": 1, "Photos or Videos": 2,
-    "Audio Data": 1, "Messages": 2, "Contacts": 1, "Sensitive Info": 3
+  kids:      {
+    sectionFactor: { track: 1.25 },
+    categoryFactor: {
+      "Location": 2, "Contact Info": 2, "User Content": 2, "Contacts": 1.5, "Identifiers": 1.5
+    },
+    purposeBonus: { "Third-Party Advertising": 10, "Developer's Advertising or Marketing": 8, "Product Personalization": 5 }
   }
 };
-const SECTION_CAPS = { track: 70, linked: 50, notLinked: 20 };
-function smoothScale(x, max){
-  const t = Math.max(0, Math.min(1, x / max));
-  const k = 5;
-  return (1 / (1 + Math.exp(-k * (t - 0.5)))) * 100;
+// Each group's heading is profile.slider.<group> in the catalogues
+const PROFILE_SLIDERS = {
+  sectionFactor:  { min: 0, max: 3, step: 0.25,
+                    keys: () => Object.keys(SCORE_SECTIONS), name: k => t(`section.${k}`), base: () => 1 },
+  categoryFactor: { min: 0, max: 3, step: 0.25,
+                    keys: () => Object.keys(RISK_WEIGHTS.track), name: k => categoryLabel(k), base: () => 1 },
+  purposeBonus:   { min: 0, max: 15, step: 1,
+                    keys: () => Object.keys(PURPOSE_BONUS), name: k => purposeLabel(k), base: k => PURPOSE_BONUS[k] }
+};
+const PROFILE_STORAGE_KEY = 'ff-scoring';
+
+// Keeps only known keys with in-range numbers that differ from Balanced
+function cleanProfileSettings(settings){
+  const out = {};
+  for (const [group, def] of Object.entries(PROFILE_SLIDERS)) {
+    for (const key of def.keys()) {
+      const v = Number(settings?.[group]?.[key]);
+      if (!Number.isFinite(v) || v === def.base(key)) continue;
+      (out[group] ||= {})[key] = Math.min(def.max, Math.max(def.min, v));
+    }
+  }
+  return out;
+}
+function resolveScoringProfile(id, settings){
+  return { id, settings, ...resolveWeights(settings) };
+}
+// In the current language, so not kept on the cached profile
+function profileLabel(id = state.scoring.id){ return t(`profile.${id}`); }
+function activeScoringProfile(){
+  const { id, custom } = state.scoring;
+  const settings = id === 'custom' ? custom : SCORING_PROFILES[id];
+  const cached = activeScoringProfile._cache;
+  if (cached?.id === id && cached.settings === settings) return cached;
+  return (activeScoringProfile._cache = resolveScoringProfile(id, settings));
+}
+
+// Shared links carry ?profile=<preset> or ?profile=custom.<base64url JSON>
+function encodeScoringProfile({ id, custom } = state.scoring){
+  if (id !== 'custom') return id === 'balanced' ? null : id;
+  const json = JSON.stringify(cleanProfileSettings(custom));
+  return 'custom.' + btoa(json).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+function decodeScoringProfile(str){
+  if (!str) return null;
+  if (Object.hasOwn(SCORING_PROFILES, str)) return { id: str };
+  if (!str.startsWith('custom.')) return null;
+  try {
+    const json = atob(str.slice(7).replace(/-/g, '+').replace(/_/g, '/'));
+    return { id: 'custom', custom: cleanProfileSettings(JSON.parse(json)) };
+  } catch { return null; }
+}
+
+function loadScoringProfile(){
+  let saved = null;
+  try { saved = JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY) || 'null'); } catch {}
+  const custom = cleanProfileSettings(saved?.custom);
+  const id = saved && (saved.id === 'custom' || Object.hasOwn(SCORING_PROFILES, saved.id)) ? saved.id : 'balanced';
+  state.scoring = { id, custom };
+  // A shared link wins for this visit, without replacing what the user saved
+  const linked = decodeScoringProfile(new URLSearchParams(location.search).get('profile'));
+  if (linked) state.scoring = { id: linked.id, custom: linked.custom || custom };
+}
+// persist: the user chose it here (not just opened a link with it)
+function setScoringProfile(next, { persist=true } = {}){
+  state.scoring = { id: next.id, custom: next.custom || state.scoring.custom };
+  if (persist) localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(state.scoring));
+  syncProfileSwitcher();
+  updateRoute({ profile: encodeScoringProfile() });
+  clearTimeout(setScoringProfile._t);
+  setScoringProfile._t = setTimeout(rescoreAll, 120); // sliders fire on every step
+}
+// Re-render everything that shows or orders by a score
+function rescoreAll(){
+  ['free','paid','games'].forEach(renderBoard);
+  if (state.searchResults.length) renderSearchResults();
+  if (isCompareOpen()) openCompareView();
+  renderMyApps();
+  if (state.drawerApp) openAppDrawer(state.drawerApp);
+}
+
+function syncProfileSwitcher(){
+  const sel = document.getElementById('profile-select');
+  if (!sel) return;
+  if (!sel.options.length) {
+    setHTML(sel, html`${Object.entries(SCORING_PROFILES)
+      .map(([id]) => html`<option value="${id}" title="${t(`profile.${id}.about`)}">${profileLabel(id)}</option>`)}<option value="custom">${t('profile.customOption')}</option>`);
+  }
+  sel.value = state.scoring.id;
+}
+function profileEditorHTML(){
+  const custom = state.scoring.custom;
+  const groups = Object.entries(PROFILE_SLIDERS).map(([group, def]) => html`
+    <div class="purpose-grid">
+      <h5 class="purpose-heading">${t(`profile.slider.${group}`)}</h5>
+      ${def.keys().map(key => {
+        const value = custom[group]?.[key] ?? def.base(key);
+        return html`<label class="profile-slider">
+          <span>${def.name(key)}</span>
+          <input type="range" min="${def.min}" max="${def.max}" step="${def.step}" value="${value}"
+                 data-profile-group="${group}" data-profile-key="${key}">
+          <output>${group === 'purposeBonus' ? '+' : '×'}${value}</output>
+        </label>`;
+      })}
+    </div>`);
+  return html`
+    <p class="muted small">${t('profile.editorNote')}</p>
+    ${groups}
+    <p class="profile-actions">
+      <button type="button" class="range-btn" data-profile-reset>${t('profile.reset')}</button>
+      <a href="${methodologyLink()}">${t('why.method')}</a>
+    </p>`;
+}
+function openProfileEditor(){
+  if (state.scoring.id !== 'custom') setScoringProfile({ id: 'custom' });
+  openDrawerHTML(t('profile.editorTitle'), profileEditorHTML());
+}
+function methodologyLink(){
+  const profile = encodeScoringProfile();
+  return profile ? `methodology.html?profile=${encodeURIComponent(profile)}` : 'methodology.html';
+}
+
+/* =========================
+   Score explanation + methodology page
+   ========================= */
+const fmtPoints = n => String(Math.round(n * 10) / 10);
+
+function scoreSectionHTML(s){
+  const rows = s.items.map(i => {
+    const adds = i.bonuses.map(b => `+${b.bonus} ${purposeLabel(b.purpose)}`);
+    if (i.penalty) adds.push(t('why.alsoTracked', { points: i.penalty }));
+    return html`<tr>
+      <th scope="row">${categoryLabel(i.category)}</th>
+      <td>${i.base}</td>
+      <td class="score-purposes">${adds.length ? joinHTML(adds, html`<br>`) : '–'}</td>
+      <td>${i.total}</td>
+    </tr>`;
+  });
+  return html`
+    <table class="score-table">
+      <caption>${t(`section.${s.section}`)}</caption>
+      <thead><tr><th scope="col">${t('why.category')}</th><th scope="col">${t('why.weight')}</th><th scope="col">${t('why.purposes')}</th><th scope="col">${t('why.points')}</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <p class="muted small">
+      √${fmtPoints(s.sum)} × √${s.cap} = ${fmtPoints(s.softened)}${s.capped ? t('why.capped', { cap: s.cap }) : t('why.cap', { cap: s.cap })}
+      → <strong>${fmtPoints(s.value)}</strong>
+    </p>`;
+}
+// "Why this score?" for the drawer: every weight, bonus, cap and the final curve
+function scoreWhyHTML(app){
+  const r = computePrivacyScore(app, activeScoringProfile());
+  const used = r.sections.filter(s => s.items.length);
+  const band = t(`band.${r.band}`);
+  return html`
+    <details class="score-why">
+      <summary>${t('why.title')} <span class="risk-badge ${r.band === 'High' ? 'high' : (r.band === 'Medium' ? 'med' : 'low')}">${r.score}/100 · ${band}</span></summary>
+      ${used.length ? used.map(scoreSectionHTML) : html`<p class="muted small">${t('why.none')}</p>`}
+      <p class="small">
+        ${tHTML('why.raw', { parts: r.sections.map(s => fmtPoints(s.value)).join(' + '), raw: fmtPoints(r.raw), max: SCORE_RAW_MAX })}
+        ${tHTML('why.curve', { score: r.score, band })}
+      </p>
+      <p class="small">
+        ${tHTML('why.profile', { profile: profileLabel() })}
+        <a href="${methodologyLink()}">${t('why.method')}</a>
+      </p>
+    </details>`;
+}
+
+// methodology.html: built from the constants above so it always matches the code
+function renderMethodology(){
+  const root = document.getElementById('methodology-body');
+  if (!root) return;
+  const profile = activeScoringProfile();
+  const sections = Object.keys(SCORE_SECTIONS);
+  const categories = [...new Set(sections.flatMap(k => Object.keys(profile.weights[k])))];
+  const aliases = {};
+  Object.entries(PURPOSE_ALIASES).forEach(([apple, bucket]) => {
+    if (apple !== bucket) (aliases[bucket] ||= []).push(apple);
+  });
+  const curve = [0, 0.2, 0.4, 0.5, 0.6, 0.8, 1].map(f => f * SCORE_RAW_MAX);
+
+  const formula = html`score = 100 / (1 + e<sup>−${SCORE_CURVE_K} × (raw / ${SCORE_RAW_MAX} − 0.5)</sup>)`;
+  const strong = band => html`<strong>${t(`band.${band}`)}</strong>`;
+
+  setHTML(root, html`
+    <p class="small">
+      ${profile.id === 'custom'
+        ? tHTML('methodology.showing', { profile: html`<strong>${profileLabel(profile.id)}</strong>` })
+        : tHTML('methodology.showingAbout', { profile: html`<strong>${profileLabel(profile.id)}</strong>`, about: t(`profile.${profile.id}.about`) })}
+      ${profile.id === 'balanced' ? '' : html`<a href="methodology.html?profile=balanced">${t('methodology.showBalanced')}</a>`}
+      ${t('methodology.profilesWhere')}
+    </p>
+    <h4>${t('methodology.weights')}</h4>
+    <p>${t('methodology.weightsIntro')}</p>
+    <table class="score-table">
+      <thead><tr><th scope="col">${t('why.category')}</th>${sections.map(k => html`<th scope="col">${t(`section.${k}`)}</th>`)}</tr></thead>
+      <tbody>${categories.map(c => html`<tr><th scope="row">${categoryLabel(c)}</th>${
+        sections.map(k => html`<td>${profile.weights[k][c] ?? 0}</td>`)}</tr>`)}</tbody>
+    </table>
+    <p>${t('methodology.bonusIntro')}</p>
+    <table class="score-table">
+      <thead><tr><th scope="col">${t('methodology.purpose')}</th><th scope="col">${t('methodology.bonus')}</th><th scope="col">${t('methodology.aliases')}</th></tr></thead>
+      <tbody>${Object.entries(profile.purposeBonus).map(([p, b]) => html`<tr><th scope="row">${purposeLabel(p)}</th><td>+${b}</td><td class="score-purposes small">${
+        (aliases[p] || []).join(', ') || '–'}</td></tr>`)}</tbody>
+    </table>
+    <p>${t('methodology.alsoTracked', { points: ALSO_TRACKED_PENALTY })}</p>
+
+    <h4>${t('methodology.caps')}</h4>
+    <p>${t('methodology.capsIntro')}</p>
+    <table class="score-table">
+      <thead><tr><th scope="col">${t('methodology.section')}</th><th scope="col">${t('methodology.cap')}</th></tr></thead>
+      <tbody>${sections.map(k => html`<tr><th scope="row">${t(`section.${k}`)}</th><td>${profile.caps[k]}</td></tr>`)}</tbody>
+    </table>
+
+    <h4>${t('methodology.curve')}</h4>
+    <p>${tHTML('methodology.curveIntro', { formula, max: SCORE_RAW_MAX })}</p>
+    <table class="score-table">
+      <thead><tr><th scope="col">${t('methodology.raw')}</th>${curve.map(x => html`<td>${fmtPoints(x)}</td>`)}</tr></thead>
+      <tbody><tr><th scope="row">${t('methodology.score')}</th>${curve.map(x => html`<td>${Math.round(smoothScale(x, SCORE_RAW_MAX))}</td>`)}</tr></tbody>
+    </table>
+    <p>${tHTML('methodology.bands', {
+      high: SCORE_BAND_MIN.High, medium: SCORE_BAND_MIN.Medium, mediumTop: SCORE_BAND_MIN.High - 1,
+      High: strong('High'), Medium: strong('Medium'), Low: strong('Low')
+    })}</p>`);
+}
+
+/* =========================
+   Rank history (movement + sparkline)
+   ========================= */
+// Last SPARK_DAYS positions in one chart. A live chart newer than the nightly data
+// adds its rank as one more day; a snapshot board's rank already is the last day
+function rankSeries(app, chart, board = {}){
+  const h = state.ranks;
+  const row = h?.charts?.[chart]?.[app.app_id];
+  const series = row ? row.slice(-SPARK_DAYS) : [];
+  const last = h?.dates?.at(-1) || '';
+  const asOf = board.asOf || new Date().toISOString().slice(0,10);
+  if (Number.isFinite(app.rank) && !board.snapshot && asOf > last) series.push(app.rank);
+  return series.slice(-SPARK_DAYS);
+}
+function rankMoveHTML(series){
+  const now = series[series.length-1];
+  const before = series[series.length-2];
+  if (!Number.isFinite(now) || series.length < 2) return '';
+  if (!Number.isFinite(before)) return html`<span class="rank-move new" title="${t('rank.newTitle')}">${t('rank.new')}</span>`;
+  const d = before - now;
+  if (d > 0) return html`<span class="rank-move up" title="${t('rank.upTitle', { count: d })}" aria-label="${t('rank.up', { count: d })}">▲${d}</span>`;
+  if (d < 0) return html`<span class="rank-move down" title="${t('rank.downTitle', { count: -d })}" aria-label="${t('rank.down', { count: -d })}">▼${-d}</span>`;
+  return html`<span class="rank-move same" title="${t('rank.sameTitle')}" aria-label="${t('rank.same')}">–</span>`;
+}
+function sparklineSVG(series, w = 48, h = 14){
+  const ranks = series.filter(Number.isFinite);
+  if (ranks.length < 2) return '';
+  const best = Math.min(...ranks), worst = Math.max(...ranks);
+  const x = (i) => ((i / (series.length - 1)) * (w - 2) + 1).toFixed(1);
+  // #1 at the top
+  const y = (r) => (worst === best ? h/2 : ((r - best) / (worst - best)) * (h - 2) + 1).toFixed(1);
+  const segments = [];
+  let seg = [];
+  series.forEach((r, i) => {
+    if (Number.isFinite(r)) seg.push(`${x(i)},${y(r)}`);
+    else if (seg.length) { segments.push(seg); seg = []; }
+  });
+  if (seg.length) segments.push(seg);
+  const lines = segments.map(p => p.length > 1
+    ? html`<polyline points="${p.join(' ')}" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round" />`
+    : html`<circle cx="${p[0].split(',')[0]}" cy="${p[0].split(',')[1]}" r="1.2" fill="currentColor" />`);
+  return html`<svg class="sparkline" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}" role="img"
+    aria-label="${t('rank.spark', { count: series.length, best, worst })}">${lines}</svg>`;
+}
+
+/* =========================
+   Compare tray + side-by-side view
+   ========================= */
+// [flag, icon]; the names are status.<flag> in the catalogues
+const COMPARE_STATUSES = [
+  ['tracked',   '🎯'],
+  ['linked',    '🔗'],
+  ['notLinked', '🚫']
+];
+function compareId(app){ return String(app.app_id || appKey(app)); }
+function isComparing(app){ return state.compare.some(a => compareId(a) === compareId(app)); }
+function syncCompareButton(btn){
+  const on = state.compare.some(a => compareId(a) === btn.dataset.compareId);
+  btn.setAttribute('aria-pressed', String(on));
+  btn.textContent = on ? t('card.comparing') : t('card.compare');
 }
-function computePrivacyScore(app){
+function toggleCompare(app){
+  if (isComparing(app)) {
+    state.compare = state.compare.filter(a => compareId(a) !== compareId(app));
+  } else if (state.compare.length >= COMPARE_MAX) {
+    showToast(t('compare.max', { count: COMPARE_MAX }));
+    return;
+  } else {
+    state.compare = [...state.compare, app];
+  }
+  renderCompareTray();
+}
+function renderCompareTray(){
+  const tray = document.getElementById('compare-tray');
+  if (!tray) return;
+  tray.hidden = state.compare.length === 0;
+  setHTML(document.getElementById('compare-items'), html`${state.compare.map(a => html`
+    <li>${a.name}
+      <button type="button" class="compare-remove" data-compare-remove="${compareId(a)}"
+              aria-label="${t('compare.remove', { name: a.name })}">×</button></li>`)}`);
+  const open = document.getElementById('compare-open');
+  open.disabled = state.compare.length < 2;
+  open.textContent = t('compare.open', { count: state.compare.length });
+  document.querySelectorAll('.compare-btn[data-compare-id]').forEach(syncCompareButton);
+}
+// category -> Set of sections it appears in, for one app
+function categoryStatuses(app){
+  const out = {};
+  const add = (cat, status) => (out[cat] ||= new Set()).add(status);
   const details = app.privacy_details || {};
-  const { track, linked, notLinked } = buildChipSections(app);
-
-  const scoreSection = (sectionName, items, weights, cap) => {
-    const set = new Set(items.map(s => String(s).trim()));
-    let sum = 0;
-    set.forEach(cat => {
-      let base = weights[cat] || 0;
-      const det = details[cat];
-      if (det && Array.isArray(det?.purposes)) {
-        for (const p of det.purposes) base += (PURPOSE_BONUS[normalizePurpose(p)] || 0);
-        if (sectionName !== 'track' && det.tracked) base += 3; // slight penalty if also tracked
-      }
-      sum += base;
+  if (Object.keys(details).length) {
+    for (const [cat, d] of Object.entries(details)) {
+      COMPARE_STATUSES.forEach(([k]) => { if (d?.[k]) add(cat, k); });
+    }
+  } else {
+    for (const [section, k] of Object.entries(LABEL_SECTIONS)) {
+      (app.privacy_labels?.[section] || []).forEach(cat => add(cat, k));
+    }
+  }
+  return out;
+}
+function compareMatrixHTML(apps){
+  const statuses = apps.map(a => hasPrivacyLabel(a) ? categoryStatuses(a) : null);
+  const scores = apps.map(a => hasPrivacyLabel(a) ? appScore(a) : null);
+  const rated = scores.filter(Boolean);
+  const lowest = rated.length > 1 ? Math.min(...rated.map(s => s.score)) : null;
+  const cats = [...VALID_CATEGORIES].filter(c => statuses.some(st => st?.[c]));
+
+  const head = apps.map(a => html`
+    <th scope="col">
+      <button type="button" class="compare-app" data-compare-details="${compareId(a)}">${a.name}</button>
+      <span class="muted small">${a.developer || ''}</span>
+    </th>`);
+
+  const scoreCells = scores.map(sc => {
+    if (!sc) return html`<td><span class="risk-badge pending">${t('risk.pending')}</span></td>`;
+    const bandClass = sc.band === 'High' ? 'high' : (sc.band === 'Medium' ? 'med' : 'low');
+    return html`<td><span class="risk-badge ${bandClass}">${t(`band.${sc.band}`)}</span> ${sc.score}/100${
+      sc.score === lowest ? html` <span class="compare-best">${t('compare.lowest')}</span>` : ''}</td>`;
+  });
+  const scoreDiff = new Set(scores.map(sc => sc ? sc.band : '')).size > 1;
+
+  const rows = cats.map(cat => {
+    const cells = statuses.map(st => {
+      if (!st) return { sig: 'n/a', html: html`<span class="muted small">${t('compare.na')}</span>` };
+      const set = st[cat] || new Set();
+      const marks = COMPARE_STATUSES.filter(([k]) => set.has(k));
+      return {
+        sig: marks.map(([k]) => k).join(','),
+        html: marks.length
+          ? marks.map(([k, icon]) => html`<span class="cmp-mark ${k}" title="${t(`status.${k}`)}" aria-label="${t(`status.${k}`)}">${icon}</span>`)
+          : html`<span class="muted" aria-label="${t('compare.notCollected')}">–</span>`
+      };
     });
-    const softened = Math.sqrt(sum) * Math.sqrt(cap);
-    return Math.min(softened, cap);
+    const diff = new Set(cells.map(c => c.sig)).size > 1;
+    return html`<tr class="${diff ? 'diff' : ''}">
+      <th scope="row"><span class="chip-ico">${CHIP_ICONS[cat] || ''}</span>${categoryLabel(cat)}</th>
+      ${cells.map(c => html`<td>${c.html}</td>`)}
+    </tr>`;
+  });
+
+  return html`
+    <div class="compare-scroll">
+      <table class="compare-table">
+        <thead><tr><th scope="col">${t('compare.category')}</th>${head}</tr></thead>
+        <tbody>
+          <tr class="compare-score ${scoreDiff ? 'diff' : ''}"><th scope="row">${t('risk.title')}</th>${scoreCells}</tr>
+          ${rows.length ? rows : html`<tr><td colspan="${apps.length + 1}" class="muted">${t('compare.none')}</td></tr>`}
+        </tbody>
+      </table>
+    </div>
+    <p class="muted small compare-legend">
+      ${joinHTML(COMPARE_STATUSES.map(([k, icon]) => html`<span class="cmp-mark ${k}">${icon}</span> ${t(`status.${k}`)}`), ' · ')}
+      · ${t('compare.legend')}
+    </p>`;
+}
+function openCompareView(){
+  const view = document.getElementById('compare-view');
+  if (!view) return;
+  setHTML(document.getElementById('compare-body'), compareMatrixHTML(state.compare));
+  view.hidden = false;
+  document.getElementById('compare-close')?.focus();
+}
+function closeCompareView(){
+  const view = document.getElementById('compare-view');
+  if (view) view.hidden = true;
+}
+function isCompareOpen(){ return document.getElementById('compare-view')?.hidden === false; }
+
+/* =========================
+   My Apps (local inventory + exposure dashboard)
+   ========================= */
+const MY_APPS_STORAGE_KEY = 'ff-my-apps';
+const MY_APPS_FORMAT = 'fiosfon-my-apps'; // marks exported files
+const MY_APPS_TOP = 5;
+
+// Only identity is stored; labels are looked up fresh each time
+function myAppRecord(app){
+  return {
+    app_id: app.app_id ? String(app.app_id) : null,
+    name: app.name,
+    developer: app.developer || '',
+    icon: app.icon || null,
+    added_on: app.added_on || new Date().toISOString().slice(0, 10)
   };
+}
+function validMyApps(list){
+  const seen = new Set();
+  return (Array.isArray(list) ? list : [])
+    .filter(a => a && typeof a.name === 'string' && a.name.trim())
+    .map(myAppRecord)
+    .filter(a => !seen.has(compareId(a)) && seen.add(compareId(a)));
+}
+function loadMyApps(){
+  try { state.myApps = validMyApps(JSON.parse(localStorage.getItem(MY_APPS_STORAGE_KEY) || '[]')); }
+  catch { state.myApps = []; }
+}
+function saveMyApps(){
+  localStorage.setItem(MY_APPS_STORAGE_KEY, JSON.stringify(state.myApps));
+  document.querySelectorAll('.mine-btn[data-mine-id]').forEach(syncMineButton);
+  renderMyApps();
+}
+function isMine(app){ return state.myApps.some(a => compareId(a) === compareId(app)); }
+function syncMineButton(btn){
+  const on = state.myApps.some(a => compareId(a) === btn.dataset.mineId);
+  btn.setAttribute('aria-pressed', String(on));
+  btn.textContent = on ? t('card.mineOn') : t('card.mine');
+}
+function toggleMine(app){
+  state.myApps = isMine(app)
+    ? state.myApps.filter(a => compareId(a) !== compareId(app))
+    : [...state.myApps, myAppRecord(app)];
+  saveMyApps();
+}
 
-  const sTrack     = scoreSection('track',     track,     RISK_WEIGHTS.track,     SECTION_CAPS.track);
-  const sLinked    = scoreSection('linked',    linked,    RISK_WEIGHTS.linked,    SECTION_CAPS.linked);
-  const sNotLinked = scoreSection('notLinked', notLinked, RISK_WEIGHTS.notLinked, SECTION_CAPS.notLinked);
+// Stored records with today's label: chart/search data first, then apps.json
+function myAppsWithLabels(){
+  const known = new Map(['free','paid','games']
+    .flatMap(k => state.boards[k].apps)
+    .concat(state.searchResults, state.localApps)
+    .map(a => [compareId(a), a]));
+  return state.myApps.map(r => known.get(compareId(r)) || withLocalPrivacy({ ...r, platform: 'iOS', sources: [] }));
+}
 
-  const raw = sTrack + sLinked + sNotLinked;
-  const score = Math.round(smoothScale(raw, 140));
+function myAppsHTML(apps){
+  const labelled = apps.filter(hasPrivacyLabel);
+  const scored = labelled
+    .map(app => ({ app, ...appScore(app) }))
+    .sort((a, b) => b.score - a.score);
+  const overall = scored.length ? Math.round(scored.reduce((n, s) => n + s.score, 0) / scored.length) : null;
+  const overallBand = overall == null ? null : scoreBand(overall);
+  const bandClass = b => b === 'High' ? 'high' : (b === 'Medium' ? 'med' : 'low');
+
+  // category -> how many of the user's apps put it in each part of the label
+  const counts = {};
+  labelled.forEach(app => {
+    for (const [cat, set] of Object.entries(categoryStatuses(app))) {
+      const c = (counts[cat] ||= { tracked: 0, linked: 0, notLinked: 0 });
+      set.forEach(k => { c[k]++; });
+    }
+  });
+  const cats = [...VALID_CATEGORIES]
+    .filter(c => counts[c])
+    .sort((a, b) => (counts[b].tracked - counts[a].tracked) || (counts[b].linked - counts[a].linked));
+  const trackingApps = labelled.filter(app => buildChipSections(app).track.length).length;
+  const pending = apps.length - labelled.length;
+
+  const summary = html`
+    <p class="my-summary">
+      ${tHTML('my.count', { count: apps.length })}
+      ${overall == null ? '' : html`${t('my.overall')} <span class="risk-badge ${bandClass(overallBand)}">${t(`band.${overallBand}`)} · ${overall}/100</span>
+        <span class="muted small">${t('my.overallNote', { profile: profileLabel() })}</span>`}
+      ${labelled.length ? t('my.tracking', { count: trackingApps }) : ''}
+      ${pending ? html`<span class="muted small">${t('my.pending', { count: pending })}</span>` : ''}
+    </p>`;
+
+  const table = cats.length ? html`
+    <h4>${t('my.collect')}</h4>
+    <div class="compare-scroll">
+      <table class="score-table my-categories">
+        <thead><tr><th scope="col">${t('my.category')}</th>${COMPARE_STATUSES.map(([k, icon]) =>
+          html`<th scope="col">${icon} ${t(`status.${k}`)}</th>`)}</tr></thead>
+        <tbody>${cats.map(cat => html`<tr>
+          <th scope="row"><span class="chip-ico">${CHIP_ICONS[cat] || ''}</span>${categoryLabel(cat)}</th>
+          ${COMPARE_STATUSES.map(([k]) => html`<td>${counts[cat][k] ? t('my.apps', { count: counts[cat][k] }) : '–'}</td>`)}
+        </tr>`)}</tbody>
+      </table>
+    </div>` : '';
+
+  const top = scored.length ? html`
+    <h4>${t('my.top')}</h4>
+    <ol class="my-top">${scored.slice(0, MY_APPS_TOP).map(s => html`
+      <li><button type="button" class="compare-app" data-my-details="${compareId(s.app)}">${s.app.name}</button>
+        <span class="risk-badge ${bandClass(s.band)}">${t(`band.${s.band}`)} · ${s.score}/100</span></li>`)}
+    </ol>` : '';
+
+  const list = html`
+    <h4>${t('my.list')}</h4>
+    <ul class="my-list">${apps.map(app => html`
+      <li><button type="button" class="compare-app" data-my-details="${compareId(app)}">${app.name}</button>
+        <span class="muted small">${app.developer || ''}</span>
+        <button type="button" class="compare-remove" data-my-remove="${compareId(app)}"
+                aria-label="${t('my.remove', { name: app.name })}">×</button></li>`)}
+    </ul>`;
+
+  return html`${summary}${table}${top}${list}`;
+}
+function renderMyApps(){
+  const body = document.getElementById('my-apps-body');
+  if (!body) return;
+  setHTML(body, state.myApps.length
+    ? myAppsHTML(myAppsWithLabels())
+    : html`<p class="muted">${tHTML('my.empty')}</p>`);
+  const exportBtn = document.getElementById('my-apps-export');
+  if (exportBtn) exportBtn.disabled = !state.myApps.length;
+}
 
-  let band = 'Low';
-  if (score >= 66) band = 'High';
-  else if (score >= 33) band = 'Medium';
+function exportMyApps(){
+  const file = { format: MY_APPS_FORMAT, version: 1, exported_at: new Date().toISOString(), apps: state.myApps };
+  downloadFile(`fiosfon-my-apps-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(file, null, 2), 'application/json');
+}
+async function importMyApps(file){
+  let apps;
+  try {
+    const data = JSON.parse(await file.text());
+    if (!Array.isArray(data) && data?.format !== MY_APPS_FORMAT) throw new Error('not a FiosFón export');
+    apps = validMyApps(Array.isArray(data) ? data : data.apps);
+  } catch (err) {
+    console.warn('My Apps import failed:', err.message);
+    showToast(t('my.importFailed'));
+    return;
+  }
+  const fresh = apps.filter(a => !isMine(a));
+  state.myApps = [...state.myApps, ...fresh];
+  saveMyApps();
+  const listed = apps.length - fresh.length;
+  showToast(t('my.added', { count: fresh.length }) + (listed ? t('my.alreadyListed', { count: listed }) : ''));
+}
 
-  return { score, band, parts: { sTrack, sLinked, sNotLinked } };
+/* =========================
+   Router (deep links + back/forward)
+   ========================= */
+// ?app=<app_id> opens that app's detail drawer (older shared links carry the name),
+// ?compare=<id>,<id> opens the comparison view, ?q=<text> fills the search box,
+// #board=paid&range=2 picks a board page (1-based).
+// Plain anchors like #rights are left to the browser.
+function readRoute(){
+  const params = new URLSearchParams(location.search);
+  const hash = new URLSearchParams(location.hash.slice(1));
+  const board = hash.get('board');
+  const range = Number(hash.get('range'));
+  // Board views live in the hash as free.sort=…&free.filter=…, the search view next to q
+  const view = (from, prefix) => {
+    const sort = from.get(`${prefix}sort`) || '';
+    const filter = from.get(`${prefix}filter`) || '';
+    return {
+      sort: Object.hasOwn(LIST_SORTS, sort) ? sort : 'rank',
+      filter: isListFilter(filter) ? filter : ''
+    };
+  };
+  const views = { search: view(params, '') };
+  Object.keys(state.boards).forEach(k => { views[k] = view(hash, `${k}.`); });
+  return {
+    app: params.get('app') || null,
+    compare: (params.get('compare') || '').split(',').filter(Boolean).slice(0, COMPARE_MAX),
+    q: params.get('q') || '',
+    board: Object.hasOwn(state.boards, board || '') ? board : null,
+    range: Number.isInteger(range) && range >= 1 && range <= RANGES.length ? range : null,
+    profile: params.get('profile') || null,
+    views
+  };
 }
-function renderRiskMeter(containerEl, app){
-  const { score, band } = computePrivacyScore(app);
-  const pct = Math.max(0, Math.min(100, score));
-  const bandClass = band === 'High' ? 'high' : (band === 'Medium' ? 'med' : 'low');
-  containerEl.innerHTML = `
-    <div class="risk-label">
-      Data collection intensity
-      <span class="risk-badge ${bandClass}">${band}</span>
-    </div>
-    <div class="risk-track" role="img" aria-label="Data collection intensity ${Math.round(pct)} out of 100">
-      <div class="risk-marker" style="left:${pct}%"
-           title="${Math.round(pct)}/100"></div>
-    </div>
-    <div class="risk-scale"><span>low</span><span>medium</span><span>high</span></div>
-  `;
+function updateRoute(patch, { push=false } = {}){
+  const r = { ...readRoute(), ...patch };
+  const u = new URL(location.href);
+  if (r.app) u.searchParams.set('app', r.app); else u.searchParams.delete('app');
+  if (r.compare.length) u.searchParams.set('compare', r.compare.join(',')); else u.searchParams.delete('compare');
+  if (r.q) u.searchParams.set('q', r.q); else u.searchParams.delete('q');
+  if (r.profile) u.searchParams.set('profile', r.profile); else u.searchParams.delete('profile');
+  const setView = (to, prefix, view) => {
+    if (view.sort !== 'rank') to.set(`${prefix}sort`, view.sort); else to.delete(`${prefix}sort`);
+    if (view.filter) to.set(`${prefix}filter`, view.filter); else to.delete(`${prefix}filter`);
+  };
+  setView(u.searchParams, '', r.views.search);
+  const hash = new URLSearchParams();
+  if (r.board) {
+    hash.set('board', r.board);
+    if (r.range) hash.set('range', r.range);
+  }
+  Object.keys(state.boards).forEach(k => setView(hash, `${k}.`, r.views[k]));
+  // Not hash.size: URLSearchParams has no size before Safari 17
+  const hashText = hash.toString();
+  if (hashText) u.hash = hashText; // plain anchors (#rights) are left alone otherwise
+  if (u.href === location.href) return;
+  if (push) history.pushState({ ffPushed: true }, '', u);
+  else history.replaceState(history.state, '', u);
+}
+async function findAppForRoute(ref){
+  const known = ['free','paid','games']
+    .flatMap(k => state.boards[k].apps)
+    .concat(state.searchResults, state.localApps);
+  if (/^\d+$/.test(ref)) {
+    const hit = known.find(a => String(a.app_id) === ref);
+    if (hit) return hit;
+    const live = await lookupAppById(ref);
+    return live && withLocalPrivacy(live);
+  }
+  const hit = known.find(a => normaliseName(a.name) === normaliseName(ref));
+  if (hit) return hit;
+  const live = await itunesSearch(ref.toLowerCase(), 5);
+  const best = live.find(a => normaliseName(a.name) === normaliseName(ref)) || live[0];
+  return best && withLocalPrivacy(best);
+}
+// Open the detail drawer and record it in history, so Back closes it
+function showApp(app){
+  openAppDrawer(app);
+  updateRoute({ app: app.app_id || app.name }, { push: true });
+}
+function dismissDrawer(){
+  closeDrawer();
+  if (!readRoute().app) return;
+  if (history.state?.ffPushed) history.back();
+  else updateRoute({ app: null });
+}
+// Same idea for the comparison view; apps without an app_id can't go in the URL
+function showCompare(){
+  openCompareView();
+  const ids = state.compare.map(a => a.app_id).filter(Boolean).map(String);
+  updateRoute({ compare: ids }, { push: true });
+}
+function dismissCompare(){
+  closeCompareView();
+  if (!readRoute().compare.length) return;
+  if (history.state?.ffPushed) history.back();
+  else updateRoute({ compare: [] });
+}
+async function applyRoute(route = readRoute()){
+  const profile = decodeScoringProfile(route.profile);
+  if (profile && route.profile !== encodeScoringProfile()) setScoringProfile(profile, { persist: false });
+
+  Object.entries(route.views).forEach(([k, view]) => {
+    const cur = state.views[k];
+    if (cur.sort === view.sort && cur.filter === view.filter) return;
+    state.views[k] = view;
+    syncViewBar(k);
+    if (k === 'search') renderSearchResults();
+    else if (k !== route.board) renderBoard(k);
+  });
+
+  if (route.board) {
+    state.boards[route.board].rangeIndex = (route.range || 1) - 1;
+    setActiveRangeUI(route.board);
+    renderBoard(route.board);
+    document.getElementById(`list-${route.board}`)?.closest('.board')?.scrollIntoView({ block: 'start' });
+  }
+
+  const input = document.getElementById('search-input');
+  if (input && input.value.trim() !== route.q) {
+    input.value = route.q;
+    input.dispatchEvent(new Event('input'));
+  }
+
+  if (route.compare.length) {
+    const found = await Promise.all(route.compare.map(id => findAppForRoute(id).catch(() => null)));
+    if (readRoute().compare.join(',') !== route.compare.join(',')) return;
+    state.compare = found.filter(Boolean);
+    renderCompareTray();
+    openCompareView();
+  } else {
+    closeCompareView();
+  }
+
+  if (!route.app) { closeDrawer(); return; }
+  let app = null;
+  try { app = await findAppForRoute(route.app); }
+  catch(err){ console.warn('Deep link lookup failed:', err.message); }
+  if (readRoute().app !== route.app) return; // navigated elsewhere meanwhile
+  if (app) openAppDrawer(app);
+  else showToast(t('toast.appNotFound'));
+}
+
+/* =========================
+   Storefront (country) switcher
+   ========================= */
+const COUNTRY_STORAGE_KEY = 'ff-country';
+function currentCountry(){
+  return state.countries.find(c => c.code === state.country) || state.countries[0] || FALLBACK_COUNTRIES[0];
+}
+async function loadCountries(){
+  let registry = null;
+  try { registry = await loadData('countries.json'); } catch(err){ console.warn('Countries failed to load:', err.message); }
+  state.countries = registry?.countries?.length ? registry.countries : FALLBACK_COUNTRIES;
+  const saved = localStorage.getItem(COUNTRY_STORAGE_KEY);
+  const wanted = saved || registry?.default || DEFAULT_COUNTRY;
+  state.country = state.countries.some(c => c.code === wanted) ? wanted : state.countries[0].code;
+}
+// Storefront names come from the catalogues (country.<code>), else countries.json
+const countryName = c => hasMessage(`country.${c.code}`) ? t(`country.${c.code}`) : c.name;
+function renderCountrySwitcher(){
+  const country = currentCountry();
+  document.title = t('page.title', { country: countryName(country) });
+  const intro = document.getElementById('intro-body');
+  if (intro) {
+    intro.textContent = t('intro.body', { where: hasMessage(`country.${country.code}.in`)
+      ? t(`country.${country.code}.in`)
+      : t('country.in', { country: countryName(country) }) });
+  }
+  const sel = document.getElementById('country-select');
+  if (!sel) return;
+  setHTML(sel, html`${state.countries
+    .map(c => html`<option value="${c.code}">${c.flag ? c.flag + ' ' : ''}${countryName(c)}</option>`)}`);
+  sel.value = state.country;
+  document.querySelectorAll('.country-code').forEach(el => { el.textContent = state.country.toUpperCase(); });
+}
+// Search results, the compare tray and an open drawer hold the old storefront's apps and ranks
+function setCountry(code){
+  if (code === state.country || !state.countries.some(c => c.code === code)) return;
+  state.country = code;
+  localStorage.setItem(COUNTRY_STORAGE_KEY, code);
+  ['free','paid','games'].forEach(k => { state.boards[k].rangeIndex = 0; setActiveRangeUI(k); });
+  state.compare = [];
+  renderCompareTray();
+  closeCompareView();
+  closeDrawer();
+  updateRoute({ app: null, compare: [] });
+  const input = document.getElementById('search-input');
+  if (input?.value) {
+    input.value = '';
+    input.dispatchEvent(new Event('input')); // clears the results, the pending live search and ?q=
+  }
+  return init();
+}
+
+/* =========================
+   Language (message catalogues in locales/)
+   ========================= */
+const LANGUAGES = {
+  en: { name: 'English', locale: 'en-IE' },
+  ga: { name: 'Gaeilge', locale: 'ga-IE' }
+};
+const DEFAULT_LANG = 'en';
+const LANG_STORAGE_KEY = 'ff-lang';
+const messages = { en: {}, current: {} };
+
+function preferredLanguage(){
+  const saved = localStorage.getItem(LANG_STORAGE_KEY);
+  if (Object.hasOwn(LANGUAGES, saved || '')) return saved;
+  return (navigator.languages || [navigator.language]).some(l => /^ga\b/i.test(l || '')) ? 'ga' : DEFAULT_LANG;
+}
+async function loadLanguage(lang){
+  const load = l => loadJSON(`locales/${l}.json`)
+    .catch(err => { console.warn(`Messages (${l}) failed to load:`, err.message); return {}; });
+  if (!Object.keys(messages.en).length) messages.en = await load(DEFAULT_LANG);
+  messages.current = lang === DEFAULT_LANG ? messages.en : await load(lang);
+  state.lang = lang;
+  document.documentElement.lang = lang;
+}
+function hasMessage(key){ return Object.hasOwn(messages.current, key) || Object.hasOwn(messages.en, key); }
+// Message in the current language, else English, else the key. Plural messages are
+// { one, two, few, many, other } objects, picked with vars.count (Irish uses all five)
+function t(key, vars = {}){
+  let msg = messages.current[key] ?? messages.en[key] ?? key;
+  if (typeof msg === 'object') {
+    const rule = new Intl.PluralRules(LANGUAGES[state.lang].locale).select(vars.count ?? 0);
+    msg = msg[rule] ?? msg.other ?? key;
+  }
+  return String(msg).replace(/\{(\w+)\}/g, (m, k) => vars[k] ?? m);
+}
+// Data files (glossary, rights) may give a field as { en, ga, … } instead of a string
+function localText(value, lang = state.lang){
+  if (value == null || typeof value !== 'object') return value ?? '';
+  return value[lang] ?? value[DEFAULT_LANG] ?? Object.values(value)[0] ?? '';
+}
+const categoryLabel = c => hasMessage(`category.${c}`) ? t(`category.${c}`) : c;
+const purposeLabel = p => hasMessage(`purpose.${p}`) ? t(`purpose.${p}`) : (PURPOSE_LABELS[p] || p);
+// ISO dates in the reader's language; anything else (older cached values) is shown as is
+function formatDate(value){
+  const m = /^\d{4}-\d{2}-\d{2}/.exec(value || '');
+  if (!m) return value || '';
+  return new Date(`${m[0]}T12:00:00`).toLocaleDateString(LANGUAGES[state.lang].locale,
+    { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+// Static markup: data-i18n (text), data-i18n-html (trusted catalogue markup)
+// and data-i18n-attr="attr:key;attr:key". Elements keep their text if a key is missing.
+function translatePage(root = document){
+  root.querySelectorAll('[data-i18n]').forEach(el => {
+    if (hasMessage(el.dataset.i18n)) el.textContent = t(el.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-html]').forEach(el => {
+    if (hasMessage(el.dataset.i18nHtml)) setHTML(el, tHTML(el.dataset.i18nHtml));
+  });
+  root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+    el.dataset.i18nAttr.split(';').forEach(pair => {
+      const [attr, key] = pair.split(':');
+      if (hasMessage(key)) el.setAttribute(attr, t(key));
+    });
+  });
+}
+function renderLanguageSwitcher(){
+  const sel = document.getElementById('lang-select');
+  if (!sel) return;
+  if (!sel.options.length) {
+    setHTML(sel, html`${Object.entries(LANGUAGES)
+      .map(([code, l]) => html`<option value="${code}" lang="${code}">${l.name}</option>`)}`);
+  }
+  sel.value = state.lang;
+}
+async function setLanguage(lang){
+  if (lang === state.lang || !Object.hasOwn(LANGUAGES, lang)) return;
+  localStorage.setItem(LANG_STORAGE_KEY, lang);
+  await loadLanguage(lang);
+  translatePage();
+  renderLanguageSwitcher();
+  renderCountrySwitcher();
+  Object.keys(state.views).forEach(fillViewBar);
+  ['free','paid','games'].forEach(renderAsOf);
+  renderCompareTray();
+  renderRights();
+  updateOfflineBanner();
+  rescoreAll(); // boards, search, compare view, My Apps and the drawer
 }
 
 /* =========================
@@ -414,25 +1518,22 @@ function renderRiskMeter(containerEl, app){
    ========================= */
 function renderAsOf(boardKey){
   const el = document.getElementById(`asof-${boardKey}`);
-  const val = state.boards[boardKey].asOf;
-  if (el) el.textContent = val ? `(updated ${val})` : '';
+  const { asOf, snapshot } = state.boards[boardKey];
+  if (!el) return;
+  if (snapshot) el.textContent = asOf ? t('board.snapshot', { date: formatDate(asOf) }) : t('board.snapshotNoDate');
+  else el.textContent = asOf ? t('board.updated', { date: formatDate(asOf) }) : '';
 }
+// Chart/search icon first; if it fails, artwork found by search, then the image proxy
 async function resolveIcon(imgEl, app){
-  const trySearchFirst = app.icon && /mzstatic\.com/.test(app.icon);
   const setWithFallbacks = (primaryUrl) => {
     imgEl.onerror = () => { imgEl.onerror = () => { imgEl.src = DEFAULT_ICON; }; imgEl.src = viaProxy(primaryUrl); };
     imgEl.src = primaryUrl;
   };
-  if (trySearchFirst){
-    const art = await findArtworkBySearch(app.name, app.developer);
-    if (art) return setWithFallbacks(art);
-    if (app.icon) return setWithFallbacks(app.icon);
-    imgEl.src = DEFAULT_ICON; return;
-  }
   if (app.icon){
     imgEl.onerror = async () => {
+      imgEl.onerror = null;
       const art = await findArtworkBySearch(app.name, app.developer);
-      if (art) return setWithFallbacks(art);
+      if (art && art !== app.icon) return setWithFallbacks(art);
       imgEl.onerror = () => { imgEl.src = DEFAULT_ICON; };
       imgEl.src = viaProxy(app.icon);
     };
@@ -446,23 +1547,29 @@ async function resolveIcon(imgEl, app){
 /* =========================
    Render cards + boards
    ========================= */
-function renderAppsInto(listEl, apps, context='board'){
+function renderAppsInto(listEl, apps, context='board', chart=null){
   if (!listEl) return;
-  listEl.innerHTML = '';
+  listEl.replaceChildren();
   const tpl = document.getElementById('app-card-tpl');
   apps.forEach((app, idx) => {
     const frag = tpl.content.cloneNode(true);
+    translatePage(frag);
     const root = frag.querySelector('.app-card') || frag.firstElementChild;
     if (root) root.dataset.appKey = appKey(app);
 
     const iconEl = frag.querySelector('.app-icon');
-    iconEl.alt = `${app.name} icon`;
+    iconEl.alt = t('card.icon', { name: app.name });
     iconEl.referrerPolicy = 'no-referrer';
     resolveIcon(iconEl, app);
 
     const hasRealRank = Number.isFinite(app.rank);
     const rankText = (context === 'board') ? `#${hasRealRank ? app.rank : (idx+1)}` : (hasRealRank ? `#${app.rank}` : '');
     frag.querySelector('.rank').textContent = rankText;
+    if (chart) {
+      const series = rankSeries(app, chart, state.boards[chart]);
+      setHTML(frag.querySelector('.rank-move-slot'), rankMoveHTML(series));
+      setHTML(frag.querySelector('.rank-spark'), sparklineSVG(series));
+    }
 
     frag.querySelector('.name').textContent = app.name;
     const plat = frag.querySelector('.platform'); if (plat) plat.textContent = 'iOS';
@@ -471,72 +1578,371 @@ function renderAppsInto(listEl, apps, context='board'){
     if (devEl) {
       const devLabel = document.createElement('span');
       devLabel.className = 'maker-label';
-      devLabel.textContent = 'Developer';
+      devLabel.textContent = t('card.developer');
       devEl.before(devLabel);
       devEl.textContent = app.developer || '';
     }
+    setHTML(frag.querySelector('.app-meta'), cardMetaLine(app));
 
     const sections = buildChipSections(app);
     const tracking = frag.querySelector('.tracking');
-    if (app.tracking_summary && app.tracking_summary.length) {
-      tracking.innerHTML = `<ul>${app.tracking_summary.map(t => `<li>${t}</li>`).join('')}</ul>`;
-    } else {
-      tracking.innerHTML = fallbackTrackingSummary(sections);
-    }
-
     const privacy = frag.querySelector('.privacy');
-    privacy.innerHTML =
-      renderChipSection('Data Used to Track You', sections.track, '🎯') +
-      renderChipSection('Data Linked to You', sections.linked, '🔗') +
-      renderChipSection('Data Not Linked to You', sections.notLinked, '🚫');
-
     const riskEl = frag.querySelector('.risk');
-    if (riskEl) renderRiskMeter(riskEl, app);
+    if (!hasPrivacyLabel(app)) {
+      // Not in our dataset: "None disclosed" would wrongly read as a clean label
+      setHTML(tracking, labelPendingHTML(app));
+      setHTML(privacy, '');
+      setHTML(riskEl, html`<div class="risk-label">${t('risk.title')} <span class="risk-badge pending">${t('risk.pending')}</span></div>`);
+    } else {
+      setHTML(tracking, trackingSummaryHTML(app, sections));
+      setHTML(privacy, html`${
+        renderChipSection(t('section.track'), sections.track, '🎯')}${
+        renderChipSection(t('section.linked'), sections.linked, '🔗')}${
+        renderChipSection(t('section.notLinked'), sections.notLinked, '🚫')}`);
+      if (riskEl) renderRiskMeter(riskEl, app);
+    }
 
     const sources = frag.querySelector('.sources');
     const shareBtn = frag.querySelector('.share-btn');
+    const detailsBtn = frag.querySelector('.details-btn');
 
-    if (app.sources && app.sources.length){
-      sources.innerHTML =
-        `<strong>Sources:</strong> ` +
-        app.sources.map(s => `<a href="${s.url}" target="_blank" rel="noopener">${s.label || 'Link'}</a>`).join(' ');
-    } else {
-      sources.innerHTML = '';
-    }
+    const links = sourceLinks(app.sources, t('card.link'));
+    setHTML(sources, links.length ? html`<strong>${t('card.sources')}</strong> ${joinHTML(links, ' ')}${
+      app.label_as_of ? html` <span class="muted small">· ${t('card.labelChecked', { date: formatDate(app.label_as_of) })}</span>` : ''}` : '');
     if (shareBtn) {
       shareBtn.addEventListener('click', (e) => {
         e.stopPropagation();
         shareApp(app);
       });
     }
+    if (detailsBtn) {
+      detailsBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        showApp(app);
+      });
+    }
+    const mineBtn = frag.querySelector('.mine-btn');
+    if (mineBtn) {
+      mineBtn.dataset.mineId = compareId(app);
+      syncMineButton(mineBtn);
+      mineBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleMine(app);
+      });
+    }
+    const compareBtn = frag.querySelector('.compare-btn');
+    if (compareBtn) {
+      compareBtn.dataset.compareId = compareId(app);
+      syncCompareButton(compareBtn);
+      compareBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleCompare(app);
+      });
+    }
 
     listEl.appendChild(frag);
   });
 }
 
+/* =========================
+   Sort + filter bar (boards and search)
+   ========================= */
+// 'rank' keeps list order: chart position on boards, best match in search
+const LIST_SORTS = {
+  rank:         { label: 'sort.rank', searchLabel: 'sort.bestMatch' },
+  'score-asc':  { label: 'sort.scoreAsc',  key: a => appScore(a).score },
+  'score-desc': { label: 'sort.scoreDesc', key: a => -appScore(a).score },
+  tracked:      { label: 'sort.tracked',   key: a => -buildChipSections(a).track.length }
+};
+const SCORE_BANDS = ['High','Medium','Low'];
+
+// Filters are '' (all), 'nothing-linked', 'band:<High|Medium|Low>' or 'tracks:<category>'
+function isListFilter(f){
+  if (!f || f === 'nothing-linked') return true;
+  const i = f.indexOf(':');
+  const kind = f.slice(0, i), value = f.slice(i + 1);
+  return (kind === 'band' && SCORE_BANDS.includes(value)) || (kind === 'tracks' && VALID_CATEGORIES.has(value));
+}
+function listFilterMatches(app, filter){
+  if (!filter) return true;
+  if (!hasPrivacyLabel(app)) return false; // nothing to judge it on yet
+  const { track, linked } = buildChipSections(app);
+  if (filter === 'nothing-linked') return !track.length && !linked.length;
+  const i = filter.indexOf(':');
+  const kind = filter.slice(0, i), value = filter.slice(i + 1);
+  if (kind === 'band') return appScore(app).band === value;
+  if (kind === 'tracks') return track.includes(value);
+  return true;
+}
+function applyListView(apps, view){
+  const filtered = apps.filter(app => listFilterMatches(app, view.filter));
+  const key = LIST_SORTS[view.sort]?.key;
+  if (!key) return filtered;
+  // Unlabelled apps have no score: keep them last, in list order
+  return filtered
+    .map((app, i) => ({ app, i, k: hasPrivacyLabel(app) ? key(app) : Infinity }))
+    .sort((a, b) => (a.k - b.k) || (a.i - b.i))
+    .map(r => r.app);
+}
+
+function viewBarOptionsHTML(viewKey){
+  const sorts = Object.entries(LIST_SORTS).map(([value, s]) =>
+    html`<option value="${value}">${t(viewKey === 'search' && s.searchLabel || s.label)}</option>`);
+  const bands = SCORE_BANDS.map(b => html`<option value="band:${b}">${t('filter.band', { band: t(`band.${b}`) })}</option>`);
+  const tracks = [...VALID_CATEGORIES].map(c =>
+    html`<option value="tracks:${c}">${t('filter.tracks', { category: categoryLabel(c) })}</option>`);
+  return {
+    sort: html`${sorts}`,
+    filter: html`<option value="">${t('filter.all')}</option>
+      <option value="nothing-linked">${t('filter.nothingLinked')}</option>
+      <optgroup label="${t('filter.bandGroup')}">${bands}</optgroup>
+      <optgroup label="${t('filter.tracksGroup')}">${tracks}</optgroup>`
+  };
+}
+// (Re)fill the selects, e.g. after a language change
+function fillViewBar(viewKey){
+  const bar = document.querySelector(`.view-bar[data-view="${viewKey}"]`);
+  if (!bar) return;
+  const options = viewBarOptionsHTML(viewKey);
+  setHTML(bar.querySelector('.view-sort'), options.sort);
+  setHTML(bar.querySelector('.view-filter'), options.filter);
+  syncViewBar(viewKey);
+}
+function syncViewBar(viewKey){
+  const bar = document.querySelector(`.view-bar[data-view="${viewKey}"]`);
+  if (!bar) return;
+  const view = state.views[viewKey];
+  bar.querySelector('.view-sort').value = view.sort;
+  bar.querySelector('.view-filter').value = view.filter;
+  bar.classList.toggle('active', view.sort !== 'rank' || !!view.filter);
+}
+function setupViewBar(viewKey){
+  const bar = document.querySelector(`.view-bar[data-view="${viewKey}"]`);
+  if (!bar) return;
+  fillViewBar(viewKey);
+  bar.addEventListener('change', () => {
+    state.views[viewKey] = {
+      sort: bar.querySelector('.view-sort').value,
+      filter: bar.querySelector('.view-filter').value
+    };
+    syncViewBar(viewKey);
+    if (viewKey === 'search') {
+      renderSearchResults();
+      updateRoute({ views: state.views });
+      return;
+    }
+    // A new order starts again from the first page
+    state.boards[viewKey].rangeIndex = 0;
+    setActiveRangeUI(viewKey);
+    renderBoard(viewKey);
+    updateRoute({ board: viewKey, range: 1, views: state.views });
+  });
+}
+
+// Greys out pages with nothing on them once a filter shortens the list
+function setRangeAvailability(boardKey, count){
+  const group = document.getElementById(`range-${boardKey}`);
+  if (!group) return;
+  [...group.querySelectorAll('.range-btn')].forEach((btn,i) => {
+    btn.disabled = i > 0 && (RANGES[i]?.[0] ?? Infinity) >= count;
+  });
+}
+
 function renderBoard(key){
   const board = state.boards[key];
+  const apps = applyListView(board.apps, state.views[key]);
+  if ((RANGES[board.rangeIndex]?.[0] ?? 0) >= apps.length && board.rangeIndex > 0) {
+    board.rangeIndex = 0;
+    setActiveRangeUI(key);
+  }
   const [start,end] = RANGES[board.rangeIndex] || RANGES[0];
-  const slice = board.apps.slice(start,end);
-  renderAppsInto(document.getElementById(`list-${key}`), slice, 'board');
+  const list = document.getElementById(`list-${key}`);
+  renderAppsInto(list, apps.slice(start,end), 'board', key);
+  if (list && board.apps.length && !apps.length) {
+    setHTML(list, html`<li class="muted small no-match">${t('board.noMatch')}</li>`);
+  }
+  setRangeAvailability(key, apps.length);
   renderAsOf(key);
 }
+function renderSearchResults(){
+  const resultsEl = document.getElementById('search-results');
+  const noRes = document.getElementById('no-results');
+  const apps = applyListView(state.searchResults, state.views.search);
+  renderAppsInto(resultsEl, apps, 'search');
+  if (resultsEl && state.searchResults.length && !apps.length) {
+    setHTML(resultsEl, html`<li class="muted small no-match">${t('search.noMatch')}</li>`);
+  }
+  if (noRes) noRes.hidden = state.searchResults.length > 0;
+}
 function renderAllBoards(){ ['free','paid','games'].forEach(renderBoard); }
 
 function renderRights(){
   const container = document.getElementById('rights-cards');
   if (!container) return;
-  container.innerHTML = '';
+  container.replaceChildren();
   const tpl = document.getElementById('right-card-tpl');
+  const heading = document.getElementById('rights-heading');
+  if (heading) heading.textContent = localText(state.rightsMeta?.heading) || t('rights.heading');
+  const source = document.getElementById('rights-source');
+  if (source) source.textContent = localText(state.rightsMeta?.source);
   state.rights.forEach(r => {
     const card = tpl.content.cloneNode(true);
-    card.querySelector('.right-title').textContent = r.title;
-    card.querySelector('.right-desc').textContent = r.description;
-    const learn = card.querySelector('.right-learn');
-    learn.innerHTML = r.learn_more ? `<a href="${r.learn_more}" target="_blank" rel="noopener">Learn more</a>` : '';
+    card.querySelector('.right-title').textContent = localText(r.title);
+    card.querySelector('.right-desc').textContent = localText(r.description);
+    const learnMore = safeUrl(r.learn_more);
+    const letter = state.rightsMeta?.letters?.templates?.find(l => l.right === r.id);
+    setHTML(card.querySelector('.right-learn'), html`${
+      learnMore ? html`<a href="${learnMore}" target="_blank" rel="noopener">${t('rights.learnMore')}</a>` : ''}${
+      letter ? html` <button type="button" class="range-btn right-letter" data-letter="${letter.id}">${t('rights.letter')}</button>` : ''}`);
     container.appendChild(card);
   });
 }
+/* =========================
+   Request letters (templates from the rights data)
+   ========================= */
+const LETTER_BLANKS = {
+  policy_url: 'not linked from the App Store page',
+  website_url: 'not linked from the App Store page',
+  your_name: '[Your name]',
+  your_email: '[Your email address, as used with the app]'
+};
+let letterApps = new Map(); // compareId → app, for the generator's app picker
+
+function fillTemplate(text, vars){
+  return String(text || '').replace(/\{\{(\w+)\}\}/g, (m, key) => vars[key] ?? m);
+}
+function addMonths(date, n){
+  const d = new Date(date);
+  const day = d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + n);
+  // 31 Jan + 1 month is the last day of February, not 3 March
+  d.setDate(Math.min(day, new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate()));
+  return d;
+}
+const fmtLetterDate = d => d.toLocaleDateString('en-IE', { day: 'numeric', month: 'long', year: 'numeric' });
+
+/** { subject, text, followUp } for one template, app and sender, or null */
+function composeLetter(templateId, app, sender = {}){
+  const letters = state.rightsMeta?.letters;
+  const tpl = letters?.templates?.find(t => t.id === templateId);
+  if (!tpl || !app) return null;
+  const today = new Date();
+  const vars = {
+    app: app.name,
+    app_id: app.app_id || 'unknown',
+    developer: app.developer || 'the developer',
+    policy_url: app.privacy_policy_url || LETTER_BLANKS.policy_url,
+    website_url: app.developer_website_url || app.metadata?.seller_url || LETTER_BLANKS.website_url,
+    article: tpl.article,
+    date: fmtLetterDate(today),
+    deadline: letters.deadline,
+    deadline_date: fmtLetterDate(addMonths(today, letters.deadline_months || 1)),
+    authority: letters.authority?.name || '',
+    authority_url: letters.authority?.url || '',
+    your_name: sender.name?.trim() || LETTER_BLANKS.your_name,
+    your_email: sender.email?.trim() || LETTER_BLANKS.your_email
+  };
+  vars.subject = fillTemplate(tpl.subject, vars);
+  return {
+    subject: vars.subject,
+    text: fillTemplate(letters.opening + tpl.body + letters.closing, vars),
+    followUp: (letters.follow_up || []).map(step => fillTemplate(step, vars))
+  };
+}
+
+// Mail clients open .eml files as a draft; non-ASCII subjects need RFC 2047 encoding
+function letterEml({ subject, text }){
+  const utf8 = s => btoa(String.fromCharCode(...new TextEncoder().encode(s)));
+  const encoded = /^[\x20-\x7e]*$/.test(subject) ? subject : `=?UTF-8?B?${utf8(subject)}?=`;
+  return [
+    'To: ',
+    `Subject: ${encoded}`,
+    'X-Unsent: 1',
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    utf8(text).replace(/.{76}/g, '$&\r\n')
+  ].join('\r\n');
+}
+
+function letterFormHTML(templateId, app){
+  const templates = state.rightsMeta?.letters?.templates || [];
+  const mine = myAppsWithLabels();
+  const others = (state.localApps || [])
+    .filter(a => !mine.some(m => compareId(m) === compareId(a)))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  // An app opened from search may be in neither list
+  const extra = app && ![...mine, ...others].some(a => compareId(a) === compareId(app)) ? [app] : [];
+  letterApps = new Map([...extra, ...mine, ...others].map(a => [compareId(a), a]));
+  const selected = compareId(app || mine[0] || others[0] || {});
+  const option = a => html`<option value="${compareId(a)}"${compareId(a) === selected ? html` selected` : ''}>${a.name}${a.developer ? ` — ${a.developer}` : ''}</option>`;
+  return html`
+    <form class="letter-form" data-letter-form>
+      <label>${t('letter.app')}
+        <select data-letter-field="app">
+          ${extra.map(option)}
+          ${mine.length ? html`<optgroup label="${t('nav.myApps')}">${mine.map(option)}</optgroup>` : ''}
+          <optgroup label="${t('letter.allApps')}">${others.map(option)}</optgroup>
+        </select>
+      </label>
+      <label>${t('letter.request')}
+        <select data-letter-field="template">
+          ${templates.map(tpl => html`<option value="${tpl.id}"${tpl.id === templateId ? html` selected` : ''}>${
+            localText(state.rights.find(r => r.id === tpl.right)?.title) || tpl.id} (${tpl.article})</option>`)}
+        </select>
+      </label>
+      <label>${t('letter.name')} <input type="text" data-letter-field="name" autocomplete="name" /></label>
+      <label>${t('letter.email')} <input type="email" data-letter-field="email" autocomplete="email" /></label>
+    </form>
+    <p class="muted small">${t('letter.private')}</p>
+    <textarea class="letter-text" rows="16" aria-label="${t('letter.textAria')}" readonly></textarea>
+    <div class="letter-actions">
+      <button type="button" class="range-btn" data-letter-action="copy">${t('letter.copy')}</button>
+      <button type="button" class="range-btn" data-letter-action="txt">${t('letter.txt')}</button>
+      <button type="button" class="range-btn" data-letter-action="eml">${t('letter.eml')}</button>
+      <button type="button" class="range-btn" data-letter-action="print">${t('letter.print')}</button>
+    </div>
+    <h4>${t('letter.after')}</h4>
+    <ol class="letter-steps"></ol>
+    <pre class="letter-print"></pre>
+  `;
+}
+function currentLetter(){
+  const body = document.getElementById('glossary-body');
+  const field = k => body.querySelector(`[data-letter-field="${k}"]`)?.value || '';
+  return composeLetter(field('template'), letterApps.get(field('app')), { name: field('name'), email: field('email') });
+}
+function updateLetter(){
+  const body = document.getElementById('glossary-body');
+  const letter = currentLetter();
+  body.querySelector('.letter-text').value = letter?.text || '';
+  body.querySelector('.letter-print').textContent = letter?.text || '';
+  setHTML(body.querySelector('.letter-steps'), html`${(letter?.followUp || []).map(step => html`<li>${step}</li>`)}`);
+  body.querySelectorAll('[data-letter-action]').forEach(btn => { btn.disabled = !letter; });
+}
+function openLetterGenerator({ templateId, app } = {}){
+  openDrawerHTML(t('letter.title'), letterFormHTML(templateId, app));
+  updateLetter();
+}
+async function letterAction(action){
+  const letter = currentLetter();
+  if (!letter) return;
+  const base = `${letter.subject.replace(/[^\w\s-]+/g, '').trim().replace(/\s+/g, '-').toLowerCase()}`;
+  if (action === 'copy') {
+    try { await navigator.clipboard.writeText(letter.text); showToast(t('letter.copied')); }
+    catch { document.querySelector('#glossary-body .letter-text')?.select(); }
+  }
+  if (action === 'txt') downloadFile(`${base}.txt`, letter.text);
+  if (action === 'eml') downloadFile(`${base}.eml`, letterEml(letter), 'message/rfc822');
+  if (action === 'print') {
+    document.body.classList.add('print-letter');
+    window.addEventListener('afterprint', () => document.body.classList.remove('print-letter'), { once: true });
+    window.print();
+  }
+}
+
 /* =========================
    UI wiring
    ========================= */
@@ -561,26 +1967,112 @@ function setupRangeControls(boardKey){
     state.boards[boardKey].rangeIndex = index;
     setActiveRangeUI(boardKey);
     renderBoard(boardKey);
+    updateRoute({ board: boardKey, range: index + 1 });
   });
   setActiveRangeUI(boardKey);
 }
 
 function setupControls(){
-  // range buttons for each board
+  // range buttons for each board, sort + filter bars for boards and search
   ['free','paid','games'].forEach(setupRangeControls);
+  Object.keys(state.views).forEach(setupViewBar);
 
-  // Refresh button clears caches and reloads
-  document.getElementById('refresh-data')?.addEventListener('click', (e) => {
+  // Refresh button clears the cached datasets + charts and reloads
+  document.getElementById('refresh-data')?.addEventListener('click', async (e) => {
     e.preventDefault();
-    ['free','paid','games'].forEach(k => localStorage.removeItem('ff-cache:rss:'+k+':'+RSS_LIMIT));
+    await clearDataCaches();
     Object.keys(localStorage).forEach(k => { if (k.startsWith('art:')) localStorage.removeItem(k); });
     init(true);
   });
 
+  // Storefront + language switchers
+  document.getElementById('country-select')?.addEventListener('change', (e) => setCountry(e.target.value));
+  renderLanguageSwitcher();
+  document.getElementById('lang-select')?.addEventListener('change', (e) => setLanguage(e.target.value));
+
+  // Scoring profile picker + custom editor (sliders live in the drawer)
+  syncProfileSwitcher();
+  document.getElementById('profile-select')?.addEventListener('change', (e) => {
+    if (e.target.value === 'custom') openProfileEditor();
+    else setScoringProfile({ id: e.target.value });
+  });
+  document.getElementById('profile-edit')?.addEventListener('click', openProfileEditor);
+  document.getElementById('glossary-body')?.addEventListener('input', (e) => {
+    if (e.target.closest('[data-letter-field]')) return updateLetter();
+    const slider = e.target.closest('input[data-profile-group]');
+    if (!slider) return;
+    const { profileGroup: group, profileKey: key } = slider.dataset;
+    const value = Number(slider.value);
+    const custom = { ...state.scoring.custom, [group]: { ...state.scoring.custom[group], [key]: value } };
+    slider.nextElementSibling.textContent = `${group === 'purposeBonus' ? '+' : '×'}${value}`;
+    setScoringProfile({ id: 'custom', custom: cleanProfileSettings(custom) });
+  });
+  document.getElementById('glossary-body')?.addEventListener('click', (e) => {
+    const action = e.target.closest('[data-letter-action]');
+    if (action) return letterAction(action.dataset.letterAction);
+    if (e.target.closest('[data-letter-app]')) return openLetterGenerator({ app: state.drawerApp });
+    if (!e.target.closest('[data-profile-reset]')) return;
+    setScoringProfile({ id: 'custom', custom: {} });
+    setHTML(document.getElementById('glossary-body'), profileEditorHTML());
+  });
+
+  // Request letters
+  document.getElementById('rights-cards')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-letter]');
+    if (btn) openLetterGenerator({ templateId: btn.dataset.letter });
+  });
+
   // Drawer controls
-  document.getElementById('drawer-close')?.addEventListener('click', closeDrawer);
-  document.getElementById('drawer-backdrop')?.addEventListener('click', closeDrawer);
-  window.addEventListener('keydown', (e) => { if (e.key === 'Escape') closeDrawer(); });
+  document.getElementById('drawer-close')?.addEventListener('click', dismissDrawer);
+  document.getElementById('drawer-backdrop')?.addEventListener('click', dismissDrawer);
+  window.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape') return;
+    const drawerOpen = document.getElementById('glossary-drawer')?.classList.contains('open');
+    if (!drawerOpen && isCompareOpen()) dismissCompare();
+    else dismissDrawer();
+  });
+
+  // Compare tray + view
+  document.getElementById('compare-open')?.addEventListener('click', showCompare);
+  document.getElementById('compare-clear')?.addEventListener('click', () => {
+    state.compare = [];
+    renderCompareTray();
+  });
+  document.getElementById('compare-close')?.addEventListener('click', dismissCompare);
+  document.getElementById('compare-view')?.addEventListener('click', (e) => {
+    if (e.target.id === 'compare-view') return dismissCompare(); // click outside the panel
+    const details = e.target.closest('[data-compare-details]');
+    const app = details && state.compare.find(a => compareId(a) === details.dataset.compareDetails);
+    if (app) showApp(app);
+  });
+  document.getElementById('compare-items')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-compare-remove]');
+    if (!btn) return;
+    state.compare = state.compare.filter(a => compareId(a) !== btn.dataset.compareRemove);
+    renderCompareTray();
+  });
+
+  // My Apps dashboard: details, remove, export/import
+  document.getElementById('my-apps-body')?.addEventListener('click', (e) => {
+    const remove = e.target.closest('[data-my-remove]');
+    if (remove) {
+      state.myApps = state.myApps.filter(a => compareId(a) !== remove.dataset.myRemove);
+      saveMyApps();
+      return;
+    }
+    const details = e.target.closest('[data-my-details]');
+    const app = details && myAppsWithLabels().find(a => compareId(a) === details.dataset.myDetails);
+    if (app) showApp(app);
+  });
+  document.getElementById('my-apps-export')?.addEventListener('click', exportMyApps);
+  document.getElementById('my-apps-import')?.addEventListener('change', (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // the same file can be picked again
+    if (file) importMyApps(file);
+  });
+
+  // Back/forward: re-apply whatever the URL now says
+  window.addEventListener('popstate', () => applyRoute());
 
   // Glossary chip clicks -> open drawer with definition + app-specific details (if available)
   document.body.addEventListener('click', async (e) => {
@@ -593,6 +2085,7 @@ function setupControls(){
     const app = key
       ? (['free','paid','games']
           .flatMap(k => state.boards[k].apps)
+          .concat(state.searchResults)
           .find(a => appKey(a) === key))
       : null;
 
@@ -601,62 +2094,64 @@ function setupControls(){
 
     try {
       const glossary = await loadGlossary();
-      const def = glossary.terms?.[term] || glossary.terms?.[term.toLowerCase()] ||
-        'This category groups similar types of data. Exact collection depends on the features you use and your settings.';
+      const def = localText(glossary.terms?.[term] || glossary.terms?.[term.toLowerCase()]) || t('term.default');
 
-      let html = `<p class="muted">${def}</p>`;
+      const parts = [html`<p class="muted">${def}</p>`];
 
       const details = app?.privacy_details?.[term];
       if (details) {
         const grouped = groupCategoryDetailsByPurpose(details);
 
         const statusBadges = [
-          grouped.status.tracked   ? '<span class="badge warn">Used to Track You</span>' : '',
-          grouped.status.linked    ? '<span class="badge info">Linked to You</span>' : '',
-          grouped.status.notLinked ? '<span class="badge">Not Linked</span>' : ''
-        ].filter(Boolean).join(' ');
+          grouped.status.tracked   ? html`<span class="badge warn">${t('term.tracked')}</span>` : '',
+          grouped.status.linked    ? html`<span class="badge info">${t('term.linked')}</span>` : '',
+          grouped.status.notLinked ? html`<span class="badge">${t('term.notLinked')}</span>` : ''
+        ].filter(Boolean);
 
         const sub = grouped.subItems.length
-          ? grouped.subItems.map(s => `<span class="chip">${s}</span>`).join(' ')
-          : '<em>No specific sub-items disclosed.</em>';
+          ? joinHTML(grouped.subItems.map(s => html`<span class="chip">${s}</span>`), ' ')
+          : html`<em>${t('term.noSubItems')}</em>`;
 
         const purposeRows = grouped.purposes.length
-          ? grouped.purposes.map(p => `
+          ? grouped.purposes.map(p => html`
               <div class="purpose-row">
                 <div class="purpose-title">${p.label}</div>
                 <div class="purpose-items">
                   ${p.items.length
-                    ? p.items.map(s => `<span class="chip soft">${s}</span>`).join(' ')
-                    : '<span class="muted small">No sub-items listed</span>'}
+                    ? joinHTML(p.items.map(s => html`<span class="chip soft">${s}</span>`), ' ')
+                    : html`<span class="muted small">${t('term.noPurposeItems')}</span>`}
                 </div>
               </div>
-            `).join('')
-          : '<p class="muted">No purposes listed for this category.</p>';
+            `)
+          : html`<p class="muted">${t('term.noPurposes')}</p>`;
 
-        html += `
+        parts.push(html`
           <hr/>
-          <h4>This app’s disclosure for “${term}”</h4>
+          <h4>${t('term.disclosure', { term: categoryLabel(term) })}</h4>
 
           <div class="drawer-block">
-            <div class="drawer-row"><strong>Status:</strong> ${statusBadges || '<span class="badge">Unspecified</span>'}</div>
-            <div class="drawer-row"><strong>Sub-items:</strong> ${sub}</div>
+            <div class="drawer-row"><strong>${t('term.status')}</strong> ${statusBadges.length ? joinHTML(statusBadges, ' ') : html`<span class="badge">${t('term.unspecified')}</span>`}</div>
+            <div class="drawer-row"><strong>${t('term.subItems')}</strong> ${sub}</div>
           </div>
 
           <div class="purpose-grid">
-            <h5 class="purpose-heading">How this data may be used</h5>
+            <h5 class="purpose-heading">${t('term.uses')}</h5>
             ${purposeRows}
           </div>
-        `;
-
-        const srcLinks = (app?.sources || []).map(s =>
-          `<a href="${s.url}" target="_blank" rel="noopener">${s.label || 'Source'}</a>`
-        ).join(' · ');
-        const policy  = app?.privacy_policy_url ? ` · <a href="${app.privacy_policy_url}" target="_blank" rel="noopener">Privacy Policy</a>` : '';
-        const devSite = app?.developer_website_url ? ` · <a href="${app.developer_website_url}" target="_blank" rel="noopener">Developer Website</a>` : '';
-        html += `<p class="muted small">Source: ${srcLinks || 'App Store listing'}${policy}${devSite}</p>`;
+        `);
+
+        const srcLinks = sourceLinks(app?.sources, t('term.sourceLink'));
+        const policyUrl = safeUrl(app?.privacy_policy_url);
+        const devUrl = safeUrl(app?.developer_website_url);
+        const links = [
+          srcLinks.length ? joinHTML(srcLinks, ' · ') : t('term.appStore'),
+          policyUrl ? html`<a href="${policyUrl}" target="_blank" rel="noopener">${t('term.policy')}</a>` : '',
+          devUrl ? html`<a href="${devUrl}" target="_blank" rel="noopener">${t('term.website')}</a>` : ''
+        ].filter(Boolean);
+        parts.push(html`<p class="muted small">${tHTML('term.source', { links: joinHTML(links, ' · ') })}</p>`);
       }
 
-      openDrawerHTML(term, html);
+      openDrawerHTML(categoryLabel(term), html`${parts}`);
     } catch (err) {
       console.error('Drawer open failed:', err);
     }
@@ -666,66 +2161,69 @@ function setupControls(){
   const input = document.getElementById('search-input');
   const resultsEl = document.getElementById('search-results');
   const noRes = document.getElementById('no-results');
+  const moreBtn = document.getElementById('search-more');
+  const search = { q: '', limit: SEARCH_LIMIT, local: [] };
   let debounceId = null;
 
+  const showResults = (apps) => {
+    state.searchResults = apps;
+    renderSearchResults();
+  };
+  const runLive = async () => {
+    const q = search.q;
+    try{
+      const live = await liveSearchAllApps(q, search.limit);
+      if (q !== search.q) return; // the user has typed on
+      const have = new Set(search.local.map(a => a.app_id ? String(a.app_id) : appKey(a)));
+      const extra = live
+        .filter(a => !have.has(a.app_id) && !have.has(appKey(a)))
+        .map(withLocalPrivacy);
+      showResults(search.local.concat(extra));
+      if (moreBtn) moreBtn.hidden = live.length < search.limit || search.limit >= SEARCH_MAX;
+    }catch(err){
+      if (err?.name === 'AbortError') return;
+      console.warn('Search failed:', err.message);
+    }finally{
+      if (moreBtn) moreBtn.disabled = false;
+    }
+  };
+
   input?.addEventListener('input', () => {
     const q = input.value.trim().toLowerCase();
+    updateRoute({ q: input.value.trim() });
+    clearTimeout(debounceId);
+    search.q = q;
+    search.limit = SEARCH_LIMIT;
+    if (moreBtn) moreBtn.hidden = true;
     if (!q){
-      resultsEl.innerHTML = '';
-      if (noRes) noRes.hidden = true;
       if (searchAbort) searchAbort.abort();
+      state.searchResults = [];
+      resultsEl.replaceChildren();
+      if (noRes) noRes.hidden = true;
       return;
     }
 
-    // local combined (deduped)
+    // chart apps first (deduped), while the live search is pending
     const seen = new Set();
-    const localCombined = ['free','paid','games']
+    search.local = ['free','paid','games']
       .flatMap(k => state.boards[k].apps)
       .filter(app => {
-        const k = appKey(app);
+        const k = app.app_id ? String(app.app_id) : appKey(app);
         if (seen.has(k)) return false;
         seen.add(k);
         return [app.name, app.developer].filter(Boolean).join(' ').toLowerCase().includes(q);
       });
+    showResults(search.local);
 
-    resultsEl.innerHTML = '';
-    renderAppsInto(resultsEl, localCombined, 'search');
-    if (noRes) noRes.hidden = localCombined.length > 0;
+    debounceId = setTimeout(runLive, 300);
+  });
 
-    // live enrichment after debounce
-    clearTimeout(debounceId);
-    debounceId = setTimeout(async () => {
-      try{
-        const live = await liveSearchAllApps(q);
-        const mapLocal = new Map((state.localApps||[]).map(a => [normaliseName(a.name), a]));
-        const enriched = live.map(a => {
-          const hit = mapLocal.get(normaliseName(a.name));
-          return hit ? {
-            ...a,
-            tracking_summary: hit.tracking_summary,
-            privacy_labels: hit.privacy_labels,
-            privacy_details: hit.privacy_details,
-            privacy_policy_url: hit.privacy_policy_url,
-            developer_website_url: hit.developer_website_url
-          } : a;
-        });
-
-        const have = new Set(localCombined.map(appKey));
-        const uniqueLive = enriched.filter(a => !have.has(appKey(a)));
-
-        const merged = localCombined.concat(uniqueLive);
-        resultsEl.innerHTML = '';
-        if (merged.length){
-          renderAppsInto(resultsEl, merged, 'search');
-          if (noRes) noRes.hidden = true;
-        } else {
-          if (noRes) noRes.hidden = false;
-        }
-      }catch(err){
-        if (err?.name === 'AbortError') return;
-        console.warn('Search failed:', err.message);
-      }
-    }, 300);
+  // "Load more": ask for a bigger page and re-render (the API has no offset)
+  moreBtn?.addEventListener('click', () => {
+    if (!search.q) return;
+    search.limit = Math.min(search.limit + SEARCH_LIMIT, SEARCH_MAX);
+    moreBtn.disabled = true;
+    runLive();
   });
 }
 
@@ -734,54 +2232,125 @@ function setupControls(){
    ========================= */
 const USE_LOCAL_ONLY = false; // set true to force offline/local
 
+// A board as the updater last saw the chart (the dataset's `charts`), without asking Apple
+function snapshotBoard(local, key){
+  const chart = local.charts?.[key];
+  // Datasets from before per-chart lists: every app, in stored order
+  if (!chart) return { as_of: local.as_of || '', apps: [...state.localApps] };
+  const byId = new Map(state.localApps.map(a => [String(a.app_id), a]));
+  return {
+    as_of: chart.as_of || local.as_of || '',
+    apps: chart.apps.filter(e => byId.has(e.app_id)).map(e => ({ ...byId.get(e.app_id), rank: e.rank }))
+  };
+}
+
 async function loadBoards(){
   // Load local dataset (for enrichment + fallback)
   let local = { apps: [], as_of: '' };
-  try { local = await loadJSON('data/apps.json'); } catch {}
+  try { local = await loadData(currentCountry().dataset); } catch {}
   state.localApps = local.apps || [];
+  state.dataAsOf = local.as_of || '';
 
-  if (USE_LOCAL_ONLY) {
-    const asof = local.as_of || new Date().toLocaleDateString();
-    ['free','paid','games'].forEach(k => {
-      state.boards[k].apps = [...state.localApps];
-      state.boards[k].asOf = `${asof} (local)`;
-    });
-    return;
-  }
-
-  const safeFetch = async (key, fn) => {
-    try { return await getCached(key, fn); }
+  const safeFetch = async (fn) => {
+    try { return await fn(); }
     catch(e){ console.warn('RSS failed:', e.message); return { as_of: '', apps: [] }; }
   };
 
-  const freeRss  = await safeFetch('rss:free:'+RSS_LIMIT,
-                    () => fetchAppleChart({ kind:'topfreeapplications', limit:RSS_LIMIT }));
-  const paidRss  = await safeFetch('rss:paid:'+RSS_LIMIT,
-                    () => fetchAppleChart({ kind:'toppaidapplications', limit:RSS_LIMIT }));
-  const gamesRss = await safeFetch('rss:games:'+RSS_LIMIT,
-                    () => fetchAppleChart({ kind:'topfreeapplications', limit:RSS_LIMIT, genre:GENRE_GAMES }));
+  for (const [key, chart] of Object.entries(BOARD_CHARTS)) {
+    const rss = USE_LOCAL_ONLY ? { apps: [] } : await safeFetch(() => fetchAppleChart({ ...chart, limit:RSS_LIMIT }));
+    const board = state.boards[key];
+    board.snapshot = !rss.apps?.length;
+    if (board.snapshot) {
+      const snap = snapshotBoard(local, key);
+      board.apps = snap.apps;
+      board.asOf = snap.as_of;
+    } else {
+      board.apps = mergeAppsByName(rss.apps, state.localApps);
+      board.asOf = rss.as_of || local.as_of || '';
+    }
+  }
+}
+
+/* =========================
+   Offline support (service worker in sw.js)
+   ========================= */
+const DATA_CACHE_PREFIX = 'ff-data'; // must match DATA_CACHE in sw.js
+
+function registerServiceWorker(){
+  // Charts and datasets used to be kept in localStorage ("ff-cache:" keys)
+  Object.keys(localStorage).forEach(k => { if (k.startsWith('ff-cache:')) localStorage.removeItem(k); });
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('sw.js')
+    .catch(err => console.warn('Service worker registration failed:', err.message));
+}
+
+async function clearDataCaches(){
+  if (!('caches' in window)) return;
+  try {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(k => k.startsWith(DATA_CACHE_PREFIX)).map(k => caches.delete(k)));
+  } catch (err) {
+    console.warn('Could not clear cached data:', err.message);
+  }
+}
+
+function updateOfflineBanner(){
+  const el = document.getElementById('offline-banner');
+  if (!el) return;
+  el.hidden = navigator.onLine !== false;
+  el.textContent = state.dataAsOf
+    ? t('offline.banner', { date: formatDate(state.dataAsOf) })
+    : t('offline.bannerNoDate');
+}
+window.addEventListener('online', updateOfflineBanner);
+window.addEventListener('offline', updateOfflineBanner);
 
-  const localOr = (rss) => (rss.apps && rss.apps.length) ? rss
-                     : { as_of: local.as_of || '', apps: [...state.localApps] };
+/* =========================
+   Data manifest (hashed data URLs + "new data available")
+   ========================= */
+async function loadManifest(){
+  try { state.manifest = await loadJSON('data/manifest.json'); }
+  catch(err){ state.manifest = null; console.warn('Data manifest failed to load:', err.message); }
+  const prompt = document.getElementById('data-update');
+  if (prompt) prompt.hidden = true;
+}
 
-  const free  = localOr(freeRss);
-  const paid  = localOr(paidRss);
-  const games = localOr(gamesRss);
+// The data files this page shows: shared ones plus the current storefront's
+function filesInUse(){
+  const c = currentCountry();
+  return ['countries.json', 'glossary.json', c.dataset, c.changelog, c.ranks, c.rights].filter(Boolean);
+}
 
-  state.boards.free.apps  = mergeAppsByName(free.apps,  state.localApps);
-  state.boards.free.asOf  = free.as_of  || local.as_of || '';
+// Offer to load newer data if the manifest changed since the page loaded it
+async function checkForNewData(){
+  if (!state.manifest || document.hidden || navigator.onLine === false) return;
+  let latest;
+  try { latest = await loadJSON('data/manifest.json'); } catch { return; }
+  const changed = filesInUse().some(f => latest.files?.[f]?.hash !== state.manifest.files?.[f]?.hash);
+  const prompt = document.getElementById('data-update');
+  if (prompt) prompt.hidden = !changed;
+}
 
-  state.boards.paid.apps  = mergeAppsByName(paid.apps,  state.localApps);
-  state.boards.paid.asOf  = paid.as_of  || local.as_of || '';
+function applyNewData(){
+  GLOSSARY = null;
+  state.countries = [];
+  init(true);
+}
 
-  state.boards.games.apps = mergeAppsByName(games.apps, state.localApps);
-  state.boards.games.asOf = games.as_of || local.as_of || '';
+function watchManifest(){
+  setInterval(checkForNewData, MANIFEST_POLL_MS);
+  document.addEventListener('visibilitychange', () => { if (!document.hidden) checkForNewData(); });
+  document.getElementById('data-update-load')?.addEventListener('click', applyNewData);
 }
 
 /* =========================
    Init
    ========================= */
 async function init(forceRefresh=false){
+  await loadManifest();
+  if (!state.countries.length) await loadCountries();
+  renderCountrySwitcher();
+
   try {
     await loadBoards();
   } catch(err){
@@ -793,19 +2362,52 @@ async function init(forceRefresh=false){
   }
 
   try {
-    const rights = await loadJSON('data/rights_ie.json');
+    const log = await loadData(currentCountry().changelog);
+    state.changelog = log.apps || {};
+  } catch(err){
+    state.changelog = {};
+    console.warn('Change log failed to load:', err.message);
+  }
+
+  try {
+    state.ranks = currentCountry().ranks ? await loadData(currentCountry().ranks) : null;
+  } catch(err){
+    state.ranks = null;
+    console.warn('Rank history failed to load:', err.message);
+  }
+
+  try {
+    const rights = await loadData(currentCountry().rights);
     state.rights = rights.items || [];
+    state.rightsMeta = { heading: rights.heading, source: rights.source, letters: rights.letters };
   } catch(err){
+    state.rights = [];
+    state.rightsMeta = {};
     console.warn('Rights failed to load:', err.message);
   }
 
   renderAllBoards();
   renderRights();
+  renderMyApps();
+  updateOfflineBanner();
 
   if (forceRefresh) localStorage.setItem('ff-last-refresh', String(Date.now()));
 }
 
-window.addEventListener('DOMContentLoaded', () => {
+window.addEventListener('DOMContentLoaded', async () => {
+  loadScoringProfile();
+  registerServiceWorker();
+  if (document.getElementById('methodology-body')) {
+    await loadLanguage(preferredLanguage());
+    translatePage();
+    return renderMethodology();
+  }
+  loadMyApps();
+  await loadLanguage(preferredLanguage());
+  translatePage();
   setupControls();
-  init();
+  updateRoute({ profile: encodeScoringProfile() });
+  await init();
+  applyRoute();
+  watchManifest();
 });
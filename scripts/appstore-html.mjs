@@ -0,0 +1,152 @@
+// Fast path: read the privacy label from the server-rendered App Store page
+// with plain fetch, no browser. Produces the same raw shape as the in-page
+// extractor in scrape-privacy.mjs so both feed normalisePrivacy().
+
+const TIMEOUT_MS = 20000;
+
+/** Apple's stable identifiers → the English titles we store */
+const SECTION_IDS = {
+  DATA_USED_TO_TRACK_YOU: "Data Used to Track You",
+  DATA_LINKED_TO_YOU: "Data Linked to You",
+  DATA_NOT_LINKED_TO_YOU: "Data Not Linked to You",
+  DATA_NOT_COLLECTED: "Data Not Collected"
+};
+const CATEGORY_IDS = {
+  CONTACT_INFO: "Contact Info",
+  HEALTH_AND_FITNESS: "Health & Fitness",
+  FINANCIAL_INFO: "Financial Info",
+  LOCATION: "Location",
+  SENSITIVE_INFO: "Sensitive Info",
+  CONTACTS: "Contacts",
+  USER_CONTENT: "User Content",
+  BROWSING_HISTORY: "Browsing History",
+  SEARCH_HISTORY: "Search History",
+  IDENTIFIERS: "Identifiers",
+  PURCHASES: "Purchases",
+  USAGE_DATA: "Usage Data",
+  DIAGNOSTICS: "Diagnostics",
+  OTHER: "Other Data",
+  OTHER_DATA: "Other Data"
+};
+const PURPOSE_IDS = {
+  THIRD_PARTY_ADVERTISING: "Third-Party Advertising",
+  DEVELOPERS_ADVERTISING: "Developer's Advertising or Marketing",
+  ANALYTICS: "Analytics",
+  PRODUCT_PERSONALIZATION: "Product Personalization",
+  APP_FUNCTIONALITY: "App Functionality",
+  OTHER_PURPOSES: "Other Purposes"
+};
+
+const norm = (s) => String(s || "").replace(/[‘’]/g, "'").replace(/\s+/g, " ").trim();
+const pick = (ids, id, text) => ids[id] || norm(text) || null;
+
+/** Identifiers we have no mapping for, as "kind:ID"; the English text stands in for them */
+function unknownIds(types) {
+  const out = new Set();
+  const check = (kind, ids, id) => { if (id && !ids[id]) out.add(`${kind}:${id}`); };
+  const categories = (arr) => { for (const c of arr || []) check("category", CATEGORY_IDS, c.identifier); };
+  for (const t of types) {
+    check("section", SECTION_IDS, t.identifier);
+    categories(t.dataCategories);
+    for (const p of t.purposes || []) {
+      check("purpose", PURPOSE_IDS, p.identifier);
+      categories(p.dataCategories);
+    }
+  }
+  return [...out];
+}
+
+/** Errors carry `status` (and `retryAfterMs` on 429) for the updater's retry logic */
+export async function fetchAppPage(appId, { country = "ie", userAgent, throttle } = {}) {
+  const url = `https://apps.apple.com/${country}/app/id${appId}`;
+  await throttle?.(url);
+  const res = await fetch(url, {
+    headers: userAgent ? { "user-agent": userAgent, "accept-language": "en-IE,en;q=0.9" } : {},
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  });
+  if (!res.ok) {
+    const err = new Error(`App Store HTTP ${res.status}`);
+    err.status = res.status;
+    const retryAfter = Number(res.headers.get("retry-after"));
+    if (retryAfter > 0) err.retryAfterMs = retryAfter * 1000;
+    throw err;
+  }
+  return res.text();
+}
+
+/** Every JSON payload embedded in <script> tags (shoebox / serialized data) */
+function embeddedJson(html) {
+  const out = [];
+  const re = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
+  let m;
+  while ((m = re.exec(html))) {
+    const [, attrs, body] = m;
+    if (!/type="(application\/(ld\+)?json|fastboot\/shoebox)"/i.test(attrs)) continue;
+    try { out.push(JSON.parse(body)); } catch {}
+  }
+  return out;
+}
+
+/** Depth-first search for values matching `test`, parsing nested JSON strings */
+function findDeep(node, test, found = [], depth = 0) {
+  if (depth > 40 || node == null) return found;
+  if (typeof node === "string") {
+    if (/^\s*[{[]/.test(node) && node.length > 50) {
+      try { findDeep(JSON.parse(node), test, found, depth + 1); } catch {}
+    }
+    return found;
+  }
+  if (typeof node !== "object") return found;
+  if (test(node)) found.push(node);
+  for (const v of Object.values(node)) findDeep(v, test, found, depth + 1);
+  return found;
+}
+
+const categoriesOf = (arr) =>
+  (arr || []).map((c) => ({
+    category: pick(CATEGORY_IDS, c.identifier, c.dataCategory || c.title),
+    subtypes: (c.dataTypes || c.types || []).map((t) => norm(typeof t === "string" ? t : t?.title)).filter(Boolean)
+  })).filter((c) => c.category);
+
+/**
+ * Parse the privacy section out of a page's HTML. Returns null when the page
+ * carries no embedded label data (caller should fall back to the browser).
+ * `unknownIdentifiers` lists any of Apple's identifiers missing from the maps
+ * above, so a renamed or new one shows up instead of being stored by its text.
+ */
+export function parsePrivacyFromHtml(html) {
+  const payloads = embeddedJson(html);
+  const holders = payloads.flatMap((p) => findDeep(p, (o) => Array.isArray(o.privacyTypes)));
+  if (!holders.length) return null;
+
+  const summary = {};
+  const detail = {};
+  for (const t of holders[0].privacyTypes) {
+    const title = pick(SECTION_IDS, t.identifier, t.privacyType || t.title);
+    if (!title) continue;
+
+    const groups = [];
+    if (Array.isArray(t.dataCategories) && t.dataCategories.length) {
+      groups.push({ purpose: null, categories: categoriesOf(t.dataCategories) });
+    }
+    for (const p of t.purposes || []) {
+      groups.push({
+        purpose: pick(PURPOSE_IDS, p.identifier, p.purpose || p.title),
+        categories: categoriesOf(p.dataCategories)
+      });
+    }
+    detail[title] = groups;
+    summary[title] = Array.from(new Set(groups.flatMap((g) => g.categories.map((c) => c.category))));
+  }
+
+  const firstString = (key) =>
+    payloads.flatMap((p) => findDeep(p, (o) => typeof o[key] === "string"))[0]?.[key] || null;
+
+  return {
+    summary,
+    detail,
+    privacyPolicyUrl: firstString("privacyPolicyUrl"),
+    developerWebsiteUrl: firstString("websiteUrl") || firstString("sellerUrl"),
+    unknownIdentifiers: unknownIds(holders[0].privacyTypes)
+  };
+}
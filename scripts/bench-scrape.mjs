@@ -0,0 +1,34 @@
+// Time the fetch-path parser (parsePrivacyFromHtml) over saved App Store pages,
+// by default the server-rendered fixtures in test/fixtures/appstore/.
+//   npm run bench:scrape                    every fixture page
+//   npm run bench:scrape -- page.html ...   your own saved pages
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { performance } from "perf_hooks";
+import { parsePrivacyFromHtml } from "./appstore-html.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES = path.resolve(__dirname, "..", "test", "fixtures", "appstore");
+const RUNS = 200;
+
+async function fixturePages() {
+  return (await fs.readdir(FIXTURES))
+    .filter((f) => f.endsWith(".html") && !f.endsWith(".rendered.html"))
+    .map((f) => path.join(FIXTURES, f));
+}
+
+const files = process.argv.length > 2 ? process.argv.slice(2) : await fixturePages();
+let total = 0;
+for (const file of files) {
+  const html = await fs.readFile(file, "utf8");
+  parsePrivacyFromHtml(html); // warm up
+  const t0 = performance.now();
+  let scraped = null;
+  for (let i = 0; i < RUNS; i++) scraped = parsePrivacyFromHtml(html);
+  const perRun = (performance.now() - t0) / RUNS;
+  total += perRun;
+  const found = scraped ? `${Object.keys(scraped.summary).length} section(s)` : "no label data (browser fallback)";
+  console.log(`${path.basename(file).padEnd(32)} ${(html.length / 1024).toFixed(0).padStart(5)} KB  ${perRun.toFixed(3)} ms/page  ${found}`);
+}
+console.log(`${files.length} page(s), ${(total / Math.max(1, files.length)).toFixed(3)} ms/page on average (${RUNS} runs each)`);
@@ -0,0 +1,57 @@
+// Staleness policy for data/privacy_cache/<app_id>.json: decide which cached
+// labels get re-scraped this run, and prune files for apps that left the charts.
+import fs from "fs/promises";
+import path from "path";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Age of a cache record in days (Infinity when missing or undated). Label
+ * records are dated by `as_of`, policy_cache records by `fetched_at`.
+ */
+export function cacheAgeDays(record, now = Date.now()) {
+  const t = Date.parse(record?.as_of || record?.fetched_at || "");
+  return Number.isFinite(t) ? (now - t) / DAY_MS : Infinity;
+}
+
+/**
+ * Decide what to scrape. `entries` is [{ appId, cached }].
+ *   - no cache record          → always scraped ("missing")
+ *   - id in `force` / forceAll → always scraped ("forced")
+ *   - older than maxAgeDays    → "stale", oldest first, at most `maxRefresh`
+ * Returns Map<appId, reason>; ids not in the map use their cache as-is.
+ */
+export function planRefresh(entries, { maxAgeDays = 7, maxRefresh = 40, force = [], forceAll = false, now = Date.now() } = {}) {
+  const plan = new Map();
+  const forced = new Set(force.map(String));
+  const stale = [];
+
+  for (const { appId, cached } of entries) {
+    if (!appId || plan.has(appId)) continue;
+    if (!cached) plan.set(appId, "missing");
+    else if (forceAll || forced.has(String(appId))) plan.set(appId, "forced");
+    else {
+      const age = cacheAgeDays(cached, now);
+      if (age > maxAgeDays) stale.push({ appId, age });
+    }
+  }
+
+  stale.sort((a, b) => b.age - a.age);
+  for (const { appId } of stale.slice(0, Math.max(0, maxRefresh))) plan.set(appId, "stale");
+  return plan;
+}
+
+/** Delete <id>.json cache files whose id is not in `keepIds`; returns removed ids */
+export async function pruneCache(dir, keepIds) {
+  const keep = new Set([...keepIds].map(String));
+  const removed = [];
+  let files = [];
+  try { files = await fs.readdir(dir); } catch { return removed; }
+  for (const f of files) {
+    const m = f.match(/^(\d+)\.json$/);
+    if (!m || keep.has(m[1])) continue;
+    await fs.unlink(path.join(dir, f));
+    removed.push(m[1]);
+  }
+  return removed;
+}
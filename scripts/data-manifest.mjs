@@ -0,0 +1,67 @@
+// data/manifest.json: every published data file with its content hash, size,
+// as_of and schema version. The site fetches only this fresh and loads each
+// file as data/<file>?v=<hash>, a URL whose content never changes.
+// The updater rewrites it after each run; after editing data by hand:
+//   npm run data:manifest               rewrite data/manifest.json
+//   npm run data:manifest -- --check    exit 1 if it no longer matches the files
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { dataFiles, schemaVersion } from "./validate-data.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.resolve(__dirname, "..", "data");
+export const MANIFEST_JSON = path.join(DATA_DIR, "manifest.json");
+
+const sameFiles = (a, b) => JSON.stringify(a?.files ?? null) === JSON.stringify(b?.files ?? null);
+
+/** The manifest for the data files as they are on disk now (files not generated yet are left out) */
+export async function buildManifest(now = new Date()) {
+  const files = {};
+  for (const { file, kind } of await dataFiles()) {
+    let buf;
+    try { buf = await fs.readFile(path.join(DATA_DIR, file)); }
+    catch (e) { if (e.code === "ENOENT") continue; throw e; }
+    const data = JSON.parse(buf.toString("utf8"));
+    files[file] = {
+      hash: crypto.createHash("sha256").update(buf).digest("hex").slice(0, 16),
+      size: buf.length,
+      as_of: data.as_of || data.updated || null,
+      schema: kind,
+      schema_version: await schemaVersion(kind)
+    };
+  }
+  return { generated: now.toISOString(), files };
+}
+
+/**
+ * Write data/manifest.json. Left untouched when no file changed, so
+ * `generated` only moves (and open pages only offer new data) when there is some.
+ * Returns true when it was written.
+ */
+export async function writeManifest() {
+  const next = await buildManifest();
+  let current = null;
+  try { current = JSON.parse(await fs.readFile(MANIFEST_JSON, "utf8")); } catch {}
+  if (sameFiles(current, next)) return false;
+  await fs.writeFile(MANIFEST_JSON, JSON.stringify(next, null, 2) + "\n", "utf8");
+  return true;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const { values: args } = parseArgs({ options: { check: { type: "boolean", default: false } } });
+  if (args.check) {
+    const next = await buildManifest();
+    let current = null;
+    try { current = JSON.parse(await fs.readFile(MANIFEST_JSON, "utf8")); } catch {}
+    const stale = Object.keys({ ...current?.files, ...next.files })
+      .filter((f) => JSON.stringify(current?.files?.[f]) !== JSON.stringify(next.files[f]));
+    for (const f of stale) console.log(`✗ ${f}: ${next.files[f] ? "not as listed in manifest.json" : "listed but missing"}`);
+    console.log(stale.length ? `manifest.json is out of date (${stale.length} file(s))` : "✓ manifest.json matches the data files");
+    if (stale.length) process.exit(1);
+  } else {
+    console.log((await writeManifest()) ? `Wrote ${path.relative(process.cwd(), MANIFEST_JSON)}` : "manifest.json already up to date");
+  }
+}
@@ -0,0 +1,34 @@
+import fs from "fs/promises";
+import { policyText, hashText, analysePolicy, retrievePolicy } from "./policy-analysis.mjs";
+
+// Usage:
+//   node scripts/debug-policy.mjs <POLICY_URL>          live page
+//   node scripts/debug-policy.mjs --file <FILE.html>    saved page (or .txt), no network
+const [arg, file] = process.argv.slice(2);
+if (!arg || (arg === "--file" && !file)) {
+  console.error("Usage: node scripts/debug-policy.mjs <POLICY_URL> | --file <FILE.html|FILE.txt>");
+  process.exit(1);
+}
+
+async function analyseSavedPolicy(p) {
+  const body = await fs.readFile(p, "utf8");
+  const text = /\.txt$/i.test(p) ? body.trim() : policyText(body);
+  return {
+    url: null,
+    hash: hashText(text),
+    word_count: text.split(/\s+/).filter(Boolean).length,
+    signals: analysePolicy(text),
+    text
+  };
+}
+
+console.log("== Debug policy for", arg === "--file" ? file : arg, "==");
+try {
+  const { text, ...record } = arg === "--file" ? await analyseSavedPolicy(file) : await retrievePolicy(arg);
+  console.log(JSON.stringify(record, null, 2));
+  console.log(`-- text (${text.length} chars), first 600 --`);
+  console.log(text.slice(0, 600));
+} catch (e) {
+  console.error("Policy analysis failed:", e);
+  process.exit(1);
+}
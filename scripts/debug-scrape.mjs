@@ -1,14 +1,61 @@
-import { scrapePrivacyForApp } from "./scrape-privacy.mjs";
+import fs from "fs/promises";
+import path from "path";
+import { pathToFileURL } from "url";
+import { performance } from "perf_hooks";
+import { createBrowserPool } from "./pool.mjs";
+import { scrapePrivacyForApp, extractPrivacyFromPage, normalisePrivacy, UA_FALLBACK } from "./scrape-privacy.mjs";
+import { fetchAppPage, parsePrivacyFromHtml } from "./appstore-html.mjs";
 
-const appId = process.argv[2];
-if (!appId) {
-  console.error("Usage: node scripts/debug-scrape.mjs <APP_ID>");
+// Usage:
+//   node scripts/debug-scrape.mjs <APP_ID>                     live App Store page
+//   node scripts/debug-scrape.mjs <APP_ID> --save <FILE.html>  also save the page as served, e.g. as a test fixture
+//   node scripts/debug-scrape.mjs --html <FILE.html>           saved page, no network
+const [arg, file, saveTo] = process.argv.slice(2);
+if (!arg || (arg === "--html" && !file) || (file === "--save" && !saveTo)) {
+  console.error("Usage: node scripts/debug-scrape.mjs <APP_ID> [--save <FILE.html>] | --html <FILE.html>");
   process.exit(1);
 }
 
-console.log("== Debug scrape for App ID:", appId, "==");
+const BENCH_RUNS = 20;
+
+// Same order as the updater: HTML parser first (timed), browser as fallback
+async function scrapeSavedPage(htmlPath) {
+  const html = await fs.readFile(htmlPath, "utf8");
+  const t0 = performance.now();
+  let scraped = null;
+  for (let i = 0; i < BENCH_RUNS; i++) scraped = parsePrivacyFromHtml(html);
+  const perRun = (performance.now() - t0) / BENCH_RUNS;
+  if (scraped) {
+    console.log(`fetch parser: ${perRun.toFixed(1)} ms/page (avg of ${BENCH_RUNS})`);
+    return { scrape_method: "fetch", ...normalisePrivacy(scraped), raw: scraped };
+  }
+  console.log("fetch parser found no embedded label data, falling back to browser");
+
+  const t1 = performance.now();
+  const pool = createBrowserPool({ maxPages: 1 });
+  try {
+    scraped = await pool.withPage(async (page) => {
+      // Block everything but the file itself so saved pages never reach Apple
+      await page.setRequestInterception(true);
+      page.on("request", (req) => (req.url().startsWith("file:") ? req.continue() : req.abort()));
+      await page.goto(pathToFileURL(path.resolve(htmlPath)).href, { waitUntil: "domcontentloaded" });
+      return extractPrivacyFromPage(page);
+    });
+    console.log(`browser extractor: ${(performance.now() - t1).toFixed(0)} ms`);
+    return { scrape_method: "browser", ...normalisePrivacy(scraped), raw: scraped };
+  } finally {
+    await pool.close();
+  }
+}
+
+const label = arg === "--html" ? file : `App ID: ${arg}`;
+console.log("== Debug scrape for", label, "==");
 try {
-  const data = await scrapePrivacyForApp(appId);
+  if (file === "--save") {
+    await fs.writeFile(saveTo, await fetchAppPage(arg, { userAgent: UA_FALLBACK }));
+    console.log(`saved the served page to ${saveTo}`);
+  }
+  const data = arg === "--html" ? await scrapeSavedPage(file) : await scrapePrivacyForApp(arg);
   console.log(JSON.stringify(data, null, 2));
 } catch (e) {
   console.error("Scrape failed:", e);
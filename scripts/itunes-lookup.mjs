@@ -0,0 +1,59 @@
+// App metadata from the iTunes Lookup API, fetched by the updater so the site
+// never calls Apple for it. Prices and ratings differ per storefront, so
+// results are cached per country in data/lookup_cache/<cc>.json.
+
+const TIMEOUT_MS = 20000;
+const BATCH_SIZE = 100; // ids per request; Apple accepts a comma-separated list
+
+/**
+ * Raw Lookup results for `ids`: { results: Map<app_id, result>, failed, error }.
+ * `failed` lists ids whose batch still errored after retries (`error` is the
+ * last such error); ids Apple simply doesn't return are in neither.
+ */
+export async function lookupApps(ids, { country = "ie", throttle, retry = (fn) => fn(), batchSize = BATCH_SIZE } = {}) {
+  const results = new Map();
+  const failed = [];
+  let error = null;
+  const unique = [...new Set(ids.filter(Boolean).map(String))];
+  for (let i = 0; i < unique.length; i += batchSize) {
+    const batch = unique.slice(i, i + batchSize);
+    const url = `https://itunes.apple.com/lookup?id=${batch.join(",")}&country=${country}`;
+    try {
+      const data = await retry(async () => {
+        await throttle?.(url);
+        const res = await fetch(url, { signal: AbortSignal.timeout(TIMEOUT_MS) });
+        if (!res.ok) throw Object.assign(new Error(`Lookup ${country} HTTP ${res.status}`), { status: res.status });
+        return res.json();
+      });
+      for (const r of data.results || []) {
+        if (r.trackId && r.kind === "software") results.set(String(r.trackId), r);
+      }
+    } catch (e) {
+      failed.push(...batch);
+      error = e;
+    }
+  }
+  return { results, failed, error };
+}
+
+const num = (v) => (Number.isFinite(v) ? v : null);
+const dateOnly = (s) => (s && !Number.isNaN(Date.parse(s)) ? new Date(s).toISOString().slice(0, 10) : null);
+
+/** The fields we publish as `metadata` in apps.json, from one Lookup result */
+export function metadataFromLookup(r, asOf = new Date().toISOString().slice(0, 10)) {
+  return {
+    as_of: asOf,
+    bundle_id: r.bundleId || null,
+    genre: r.primaryGenreName || null,
+    price: num(r.price),
+    currency: r.currency || null,
+    formatted_price: r.formattedPrice || null,
+    age_rating: r.contentAdvisoryRating || r.trackContentRating || null,
+    rating: num(r.averageUserRating) != null ? Math.round(r.averageUserRating * 10) / 10 : null,
+    rating_count: num(r.userRatingCount),
+    updated_on: dateOnly(r.currentVersionReleaseDate),
+    version: r.version || null,
+    seller_url: /^https?:\/\//.test(r.sellerUrl || "") ? r.sellerUrl : null,
+    minimum_os: r.minimumOsVersion || null
+  };
+}
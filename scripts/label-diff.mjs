@@ -0,0 +1,80 @@
+// Structured diff between two versions of an app's privacy label, used for
+// data/changelog.json. Works on the apps.json record shape.
+import { LABEL_SECTIONS as SECTIONS, migratePrivacy } from "../taxonomy.js";
+
+/** Only the fields we keep in dated snapshots (data/history/<date>.json) */
+export function snapshotRecord(app) {
+  const purposes = {};
+  for (const [cat, d] of Object.entries(app.privacy_details || {})) {
+    if (d?.purposes?.length) purposes[cat] = [...d.purposes];
+  }
+  return {
+    app_id: app.app_id,
+    name: app.name,
+    developer: app.developer,
+    privacy_labels: app.privacy_labels,
+    purposes,
+    privacy_policy_url: app.privacy_policy_url || null,
+    policy_hash: app.privacy_policy?.hash || null
+  };
+}
+
+const added = (a, b) => b.filter((x) => !a.includes(x));
+
+/**
+ * Changes from `prev` to `next` (snapshot records or full app records).
+ * Returns [] when either side has no label to compare against.
+ */
+export function diffApp(prev, next) {
+  if (!prev?.privacy_labels || !next?.privacy_labels) return [];
+  // Snapshots from before the shared taxonomy use older names: compare like with like
+  const p = migratePrivacy(prev.purposes ? prev : snapshotRecord(prev));
+  const n = migratePrivacy(next.purposes ? next : snapshotRecord(next));
+  const changes = [];
+
+  for (const [title, section] of Object.entries(SECTIONS)) {
+    const before = p.privacy_labels[title] || [];
+    const after = n.privacy_labels[title] || [];
+    for (const category of added(before, after)) changes.push({ type: "category_added", section, category });
+    for (const category of added(after, before)) changes.push({ type: "category_removed", section, category });
+  }
+
+  const cats = new Set([...Object.keys(p.purposes), ...Object.keys(n.purposes)]);
+  for (const category of cats) {
+    const before = p.purposes[category] || [];
+    const after = n.purposes[category] || [];
+    const plus = added(before, after);
+    const minus = added(after, before);
+    if (plus.length || minus.length) changes.push({ type: "purposes_changed", category, added: plus, removed: minus });
+  }
+
+  if ((p.privacy_policy_url || null) !== (n.privacy_policy_url || null)) {
+    changes.push({ type: "policy_url_changed", from: p.privacy_policy_url || null, to: n.privacy_policy_url || null });
+  }
+  // Older snapshots predate policy hashes: only compare when both sides have one
+  if (p.policy_hash && n.policy_hash && p.policy_hash !== n.policy_hash) {
+    changes.push({ type: "policy_text_changed", from: p.policy_hash, to: n.policy_hash });
+  }
+  return changes;
+}
+
+/**
+ * Append today's diffs to the change log, keyed by app_id:
+ *   { updated, apps: { <app_id>: { name, events: [{ date, changes }] } } }
+ */
+export function appendChangelog(log, prevApps, nextApps, date) {
+  const out = { updated: date, apps: { ...(log?.apps || {}) } };
+  const before = new Map((prevApps || []).filter((a) => a.app_id).map((a) => [String(a.app_id), a]));
+
+  for (const app of nextApps) {
+    if (!app.app_id) continue;
+    const id = String(app.app_id);
+    const changes = diffApp(before.get(id), app);
+    if (!changes.length) continue;
+    const entry = out.apps[id] ? { ...out.apps[id] } : { name: app.name, events: [] };
+    entry.name = app.name;
+    entry.events = [...entry.events.filter((e) => e.date !== date), { date, changes }];
+    out.apps[id] = entry;
+  }
+  return out;
+}
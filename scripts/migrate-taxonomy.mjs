@@ -0,0 +1,60 @@
+// One-off (and repeatable) rewrite of stored labels to the shared taxonomy in
+// taxonomy.js: scrape cache, every storefront's dataset and history snapshots.
+//   npm run migrate:taxonomy            rewrite files in place
+//   npm run migrate:taxonomy -- --check list files that still need it, exit 1 if any
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { migratePrivacy } from "../taxonomy.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.resolve(__dirname, "..", "data");
+
+const { values: args } = parseArgs({ options: { check: { type: "boolean", default: false } } });
+
+async function readJson(p, fallback = null) {
+  try { return JSON.parse(await fs.readFile(p, "utf8")); }
+  catch { return fallback; }
+}
+async function jsonFiles(dir) {
+  let entries = [];
+  try { entries = await fs.readdir(dir, { withFileTypes: true }); } catch {}
+  const out = [];
+  for (const e of entries) {
+    const p = path.join(dir, e.name);
+    if (e.isDirectory()) out.push(...(await jsonFiles(p)));
+    else if (e.name.endsWith(".json")) out.push(p);
+  }
+  return out;
+}
+
+async function targets() {
+  const registry = await readJson(path.join(DATA_DIR, "countries.json"), { countries: [] });
+  const datasets = [...new Set(registry.countries.map((c) => c.dataset).filter(Boolean))];
+  return [
+    // privacy_cache/<id>.json is a single record; datasets and snapshots hold { apps: [...] }
+    ...(await jsonFiles(path.join(DATA_DIR, "privacy_cache"))).map((p) => ({ p, single: true })),
+    ...datasets.map((f) => ({ p: path.join(DATA_DIR, f), single: false })),
+    ...(await jsonFiles(path.join(DATA_DIR, "history"))).map((p) => ({ p, single: false }))
+  ];
+}
+
+let pending = 0, checked = 0;
+for (const { p, single } of await targets()) {
+  const before = await readJson(p);
+  if (!before) continue;
+  checked++;
+  const after = single ? migratePrivacy(before) : { ...before, apps: (before.apps || []).map(migratePrivacy) };
+  const text = JSON.stringify(after, null, 2) + "\n";
+  if (text === JSON.stringify(before, null, 2) + "\n") continue;
+  pending++;
+  const rel = path.relative(DATA_DIR, p);
+  if (args.check) console.log(`✗ ${rel} uses old category or purpose names`);
+  else {
+    await fs.writeFile(p, text, "utf8");
+    console.log(`✓ migrated ${rel}`);
+  }
+}
+console.log(`${checked} file(s) checked, ${pending} ${args.check ? "need migrating" : "migrated"}`);
+if (args.check && pending) process.exit(1);
@@ -0,0 +1,236 @@
+// Privacy policy retrieval and text analysis. The updater downloads each
+// app's policy (privacy_policy_url), keeps the text in data/policy_cache/
+// with a content hash, and publishes the structured signals found in it.
+import crypto from "crypto";
+
+const TIMEOUT_MS = 20000;
+const SNIPPET_CHARS = 280;
+const UA_FALLBACK =
+  process.env.USER_AGENT ||
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Safari/605.1.15";
+
+/** Known SDKs and data partners: display name, kind, and how policies spell them */
+const THIRD_PARTIES = [
+  ["Google Analytics", "analytics", /google analytics|firebase analytics/i],
+  ["Firebase", "analytics", /\bfirebase\b/i],
+  ["Crashlytics", "diagnostics", /crashlytics/i],
+  ["Google AdMob", "advertising", /\badmob\b/i],
+  ["Google Ads", "advertising", /google ads\b|doubleclick|google ad manager/i],
+  ["Meta (Facebook)", "advertising", /\b(?:[Ff]acebook|FACEBOOK|Meta|[Ii]nstagram)\b/],
+  ["TikTok", "advertising", /\btiktok\b|\bbytedance\b|\bpangle\b/i],
+  ["Snap", "advertising", /\bsnap inc\b|\bsnapchat\b/i],
+  ["X (Twitter)", "advertising", /\btwitter\b|\bx corp\b/i],
+  ["Microsoft Advertising", "advertising", /microsoft advertising|\bbing ads\b/i],
+  ["Amazon Advertising", "advertising", /amazon (advertising|ads|publisher services)/i],
+  ["AppLovin", "advertising", /applovin|\bmax mediation\b/i],
+  ["Unity Ads", "advertising", /unity ads|unity technologies/i],
+  ["ironSource", "advertising", /ironsource/i],
+  ["Liftoff / Vungle", "advertising", /\bvungle\b|\bliftoff\b/i],
+  ["Chartboost", "advertising", /chartboost/i],
+  ["InMobi", "advertising", /\binmobi\b/i],
+  ["Mintegral", "advertising", /mintegral/i],
+  ["Criteo", "advertising", /\bcriteo\b/i],
+  ["Taboola", "advertising", /\btaboola\b/i],
+  ["Outbrain", "advertising", /\boutbrain\b/i],
+  ["AppsFlyer", "attribution", /appsflyer/i],
+  ["Adjust", "attribution", /\badjust (gmbh|sdk)\b|\badjust\.com\b/i],
+  ["Branch", "attribution", /\bbranch metrics\b|\bbranch\.io\b/i],
+  ["Kochava", "attribution", /kochava/i],
+  ["Singular", "attribution", /singular labs|\bsingular\.net\b/i],
+  ["Amplitude", "analytics", /\bamplitude\b/i],
+  ["Mixpanel", "analytics", /mixpanel/i],
+  ["Segment", "analytics", /\bsegment\.(io|com)\b|twilio segment/i],
+  ["Hotjar", "analytics", /hotjar/i],
+  ["comScore", "analytics", /comscore/i],
+  ["Nielsen", "analytics", /\bnielsen\b/i],
+  ["Adobe Analytics", "analytics", /adobe analytics|adobe experience cloud/i],
+  ["Sentry", "diagnostics", /\bsentry\b/i],
+  ["Bugsnag", "diagnostics", /bugsnag/i],
+  ["Datadog", "diagnostics", /datadog/i],
+  ["New Relic", "diagnostics", /new relic/i],
+  ["Braze", "messaging", /\bbraze\b/i],
+  ["OneSignal", "messaging", /onesignal/i],
+  ["Airship", "messaging", /urban airship|\bairship\b/i],
+  ["CleverTap", "messaging", /clevertap/i],
+  ["Iterable", "messaging", /\biterable\b/i],
+  ["Intercom", "messaging", /\bintercom\b/i],
+  ["Zendesk", "support", /zendesk/i],
+  ["Salesforce", "crm", /salesforce/i],
+  ["HubSpot", "crm", /hubspot/i],
+  ["Stripe", "payments", /\bstripe\b/i],
+  ["PayPal", "payments", /paypal/i],
+  ["Adyen", "payments", /\badyen\b/i],
+  ["Amazon Web Services", "hosting", /amazon web services|\baws\b/i],
+  ["Google Cloud", "hosting", /google cloud/i],
+  ["Microsoft Azure", "hosting", /\bazure\b/i],
+  ["Cloudflare", "hosting", /cloudflare/i]
+];
+
+/** Lawful bases for sending data outside the EEA/UK */
+const TRANSFER_MECHANISMS = [
+  ["Standard Contractual Clauses", /standard contractual clauses|\bSCCs?\b|model (contract )?clauses/i],
+  ["Adequacy decision", /adequacy decision|adequate level of (data )?protection/i],
+  ["EU-U.S. Data Privacy Framework", /[Dd]ata [Pp]rivacy [Ff]ramework|\bDPF\b/],
+  ["Binding Corporate Rules", /[Bb]inding [Cc]orporate [Rr]ules|\bBCRs?\b/],
+  ["Privacy Shield (invalid since 2020)", /privacy shield/i],
+  ["UK International Data Transfer Agreement", /international data transfer (agreement|addendum)|\bIDTA\b/i],
+  ["Article 49 derogations", /article 49|derogations?\b/i]
+];
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, eighteen: 18, thirty: 30, sixty: 60, ninety: 90
+};
+const PERIOD_RE = new RegExp(
+  String.raw`\b(\d{1,4}|${Object.keys(NUMBER_WORDS).join("|")})(?:\s*\(\d{1,4}\))?[\s-]*(day|week|month|year)s?\b`, "i"
+);
+const RETENTION_RE = /\b(retain|retained|retention|keep|kept|store|stored|delete|deleted|erase|erased|anonymi[sz]e)/i;
+const LEGAL_ENTITY_RE =
+  /\b([A-Z][\w&'’.,-]*(?:\s+(?:[A-Z][\w&'’.-]*|&|of|and|de|du))*\s+(?:Unlimited Company|Limited|Ltd\.?|Inc\.?|LLC|L\.L\.C\.|GmbH|AG|B\.V\.|N\.V\.|S\.A\.|SAS|S\.à r\.l\.|S\.r\.l\.|plc|PLC|DAC|Corporation|Corp\.?|AB|Pte\. Ltd\.?))(?![\w])/;
+const EMAIL_RE = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+const DPC_RE = /data protection commission(?:er)?\b|dataprotection\.ie/i;
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", copy: "©", rsquo: "’", lsquo: "‘", rdquo: "”", ldquo: "“", ndash: "–", mdash: "—", hellip: "…", eacute: "é", aacute: "á", iacute: "í", oacute: "ó", uacute: "ú" };
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+/** Readable text of a policy page: scripts, styles and markup dropped, one block per line */
+export function policyText(html) {
+  const text = decodeEntities(
+    String(html || "")
+      .replace(/<(script|style|noscript|svg|template|head)\b[\s\S]*?<\/\1>/gi, " ")
+      .replace(/<!--[\s\S]*?-->/g, " ")
+      .replace(/<\/?(p|div|li|ul|ol|h[1-6]|tr|table|section|article|header|footer|br|hr|dd|dt)\b[^>]*>/gi, "\n")
+      .replace(/<[^>]+>/g, " ")
+  );
+  return text
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+/** Content hash of the policy text; whitespace-insensitive so reflowed pages don't count as changes */
+export function hashText(text) {
+  return crypto.createHash("sha256").update(String(text).replace(/\s+/g, " ").trim()).digest("hex");
+}
+
+function sentences(text) {
+  return text
+    .split(/\n+|(?<=[.!?])\s+(?=["“(]?[A-Z0-9])/)
+    .map((s) => s.trim())
+    .filter((s) => s.length > 3);
+}
+
+const snippet = (s) => (s.length > SNIPPET_CHARS ? `${s.slice(0, SNIPPET_CHARS - 1).trimEnd()}…` : s);
+
+function retentionPeriods(list) {
+  const out = [];
+  const seen = new Set();
+  for (const s of list) {
+    if (!RETENTION_RE.test(s)) continue;
+    const m = s.match(PERIOD_RE);
+    let period = null;
+    if (m) {
+      const n = NUMBER_WORDS[m[1].toLowerCase()] ?? Number(m[1]);
+      period = `${n} ${m[2].toLowerCase()}${n === 1 ? "" : "s"}`;
+    } else if (/as long as (your|the) account/i.test(s)) {
+      period = "while the account is open";
+    } else if (/as long as (is |it is )?(necessary|needed|required)/i.test(s)) {
+      period = "as long as necessary";
+    }
+    if (!period || seen.has(s)) continue;
+    seen.add(s);
+    out.push({ period, text: snippet(s) });
+    if (out.length >= 8) break;
+  }
+  return out;
+}
+
+function controllerOf(list) {
+  const hits = list.filter((s) => /\bcontroller\b/i.test(s));
+  if (!hits.length) return null;
+  const named = hits.find((s) => LEGAL_ENTITY_RE.test(s)) || hits[0];
+  const m = named.match(LEGAL_ENTITY_RE);
+  return { name: m ? m[1].replace(/^(The|the)\s+/, "") : null, text: snippet(named) };
+}
+
+function dpoOf(list) {
+  const i = list.findIndex((s) => /data protection officer/i.test(s) || /\bDPO\b/.test(s));
+  if (i < 0) return null;
+  // The address often follows on the next line ("Email: dpo@…")
+  const near = list.slice(i, i + 3).join(" ");
+  return { email: near.match(EMAIL_RE)?.[0].replace(/[.,;]+$/, "") || null, text: snippet(list[i]) };
+}
+
+/**
+ * Structured signals found in a policy's text:
+ *   third_parties  known SDKs / partners named anywhere in the text
+ *   retention      sentences that state how long data is kept, with the period
+ *   controller     the data controller (legal entity when one is named)
+ *   dpo            Data Protection Officer mention and contact email
+ *   transfers      mechanisms cited for transfers outside the EEA/UK
+ *   mentions_dpc   whether the Irish Data Protection Commission is named
+ * Heuristic by nature: it reports what the text says, not what the app does.
+ */
+export function analysePolicy(text) {
+  const list = sentences(text);
+  const dpcLine = list.find((s) => DPC_RE.test(s));
+  return {
+    third_parties: THIRD_PARTIES.filter(([, , re]) => re.test(text)).map(([name, kind]) => ({ name, kind })),
+    retention: retentionPeriods(list),
+    controller: controllerOf(list),
+    dpo: dpoOf(list),
+    transfers: TRANSFER_MECHANISMS.filter(([, re]) => re.test(text)).map(([name]) => name),
+    mentions_dpc: Boolean(dpcLine),
+    ...(dpcLine ? { dpc_text: snippet(dpcLine) } : {})
+  };
+}
+
+/** Errors carry `status` (and `retryAfterMs` on 429) like fetchAppPage() */
+export async function fetchPolicy(url, { userAgent = UA_FALLBACK, throttle } = {}) {
+  await throttle?.(url);
+  const res = await fetch(url, {
+    headers: {
+      accept: "text/html,text/plain;q=0.9,*/*;q=0.5",
+      "accept-language": "en-IE,en;q=0.9",
+      "user-agent": userAgent
+    },
+    redirect: "follow",
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  });
+  if (!res.ok) {
+    const err = new Error(`Policy HTTP ${res.status}`);
+    err.status = res.status;
+    const retryAfter = Number(res.headers.get("retry-after"));
+    if (retryAfter > 0) err.retryAfterMs = retryAfter * 1000;
+    throw err;
+  }
+  const type = res.headers.get("content-type") || "";
+  if (type && !/text\/(html|plain)|application\/xhtml/i.test(type)) {
+    throw new Error(`Policy is ${type.split(";")[0]}, not a web page`);
+  }
+  const body = await res.text();
+  return { finalUrl: res.url || url, text: /text\/plain/i.test(type) ? body.trim() : policyText(body) };
+}
+
+/** Download, hash and analyse one policy; the record stored in data/policy_cache/ */
+export async function retrievePolicy(url, opts = {}) {
+  const { finalUrl, text } = await fetchPolicy(url, opts);
+  return {
+    url,
+    final_url: finalUrl,
+    fetched_at: new Date().toISOString(),
+    hash: hashText(text),
+    word_count: text.split(/\s+/).filter(Boolean).length,
+    signals: analysePolicy(text),
+    text
+  };
+}
@@ -0,0 +1,112 @@
+// Shared plumbing for the updater: one pooled browser, bounded concurrency,
+// per-host pacing and retry with exponential backoff.
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** Counting semaphore: at most `limit` holders at once */
+export function createSemaphore(limit) {
+  let active = 0;
+  const queue = [];
+  const release = () => {
+    active--;
+    const next = queue.shift();
+    if (next) { active++; next(); }
+  };
+  return async function run(fn) {
+    if (active >= limit) await new Promise((r) => queue.push(r));
+    else active++;
+    try { return await fn(); }
+    finally { release(); }
+  };
+}
+
+/** Like Promise.all(items.map(fn)) but with at most `limit` in flight; keeps order */
+export async function mapWithConcurrency(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+/**
+ * Spaces out requests to the same host by at least `minIntervalMs`,
+ * whatever the concurrency. Call `await throttle(url)` right before a request.
+ */
+export function createHostThrottle(minIntervalMs) {
+  const nextSlot = new Map();
+  return async function throttle(url) {
+    const host = new URL(url).host;
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot.get(host) || 0);
+    nextSlot.set(host, slot + minIntervalMs);
+    if (slot > now) await sleep(slot - now);
+  };
+}
+
+/** Errors worth another go: timeouts, HTTP 429 and 5xx */
+export function isRetryable(err) {
+  if (!err) return false;
+  if (err.name === "TimeoutError" || err.name === "AbortError") return true;
+  if (err.status === 429 || (err.status >= 500 && err.status < 600)) return true;
+  return /timeout|ETIMEDOUT|ECONNRESET|EAI_AGAIN/i.test(err.message || "");
+}
+
+/**
+ * Retry `fn` with exponential backoff and jitter. Honours `err.retryAfterMs`
+ * (from a Retry-After header) when it asks for longer than the backoff.
+ */
+export async function withRetry(fn, { retries = 3, baseMs = 1000, onRetry = null } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err)) throw err;
+      const backoff = baseMs * 2 ** attempt * (0.75 + Math.random() * 0.5);
+      const wait = Math.max(backoff, err.retryAfterMs || 0);
+      onRetry?.(err, attempt + 1, wait);
+      await sleep(wait);
+    }
+  }
+}
+
+/**
+ * One headless browser shared by every scrape, launched on first use.
+ * `withPage(fn)` hands out a fresh page, at most `maxPages` open at a time.
+ */
+export function createBrowserPool({ maxPages = 2, launchOptions = {} } = {}) {
+  let browserPromise = null;
+  const gate = createSemaphore(maxPages);
+
+  const getBrowser = () => {
+    browserPromise ||= import("puppeteer").then(({ default: puppeteer }) =>
+      puppeteer.launch({
+        headless: "new",
+        args: ["--no-sandbox", "--disable-setuid-sandbox"],
+        ...launchOptions
+      })
+    );
+    return browserPromise;
+  };
+
+  return {
+    withPage(fn) {
+      return gate(async () => {
+        const page = await (await getBrowser()).newPage();
+        try { return await fn(page); }
+        finally { await page.close().catch(() => {}); }
+      });
+    },
+    async close() {
+      if (!browserPromise) return;
+      const browser = await browserPromise.catch(() => null);
+      browserPromise = null;
+      await browser?.close();
+    }
+  };
+}
@@ -0,0 +1,56 @@
+// Daily chart positions per app, written next to each storefront's dataset
+// (data/ranks.json, data/ranks_<cc>.json). Columns line up with `dates`:
+//   { updated, dates: [d1, d2, …], charts: { free: { <app_id>: [3, 2, null, …] }, paid, games } }
+// null means the app was not in that chart on that day.
+
+export const CHARTS = ["free", "paid", "games"];
+
+/**
+ * Record today's ranks. `today` is { free: [{ app_id, rank }], … }. Re-running
+ * on the same date overwrites that day's column; only the newest `keepDays`
+ * columns are kept and apps that no longer appear in any kept day are dropped.
+ */
+export function appendRanks(history, today, date, keepDays = 90) {
+  const dates = [...(history?.dates || [])];
+  let col = dates.indexOf(date);
+  if (col < 0) {
+    dates.push(date);
+    dates.sort();
+    col = dates.indexOf(date);
+  }
+  const width = dates.length;
+  const charts = {};
+
+  for (const chart of CHARTS) {
+    const prevDates = history?.dates || [];
+    const prev = history?.charts?.[chart] || {};
+    const rows = {};
+    // Re-align existing rows to the (possibly grown) date list
+    for (const [id, series] of Object.entries(prev)) {
+      const row = new Array(width).fill(null);
+      prevDates.forEach((d, i) => {
+        const j = dates.indexOf(d);
+        if (j >= 0 && series[i] != null) row[j] = series[i];
+      });
+      row[col] = null;
+      rows[id] = row;
+    }
+    for (const { app_id, rank } of today[chart] || []) {
+      if (!app_id || !Number.isFinite(rank)) continue;
+      rows[app_id] ||= new Array(width).fill(null);
+      if (rows[app_id][col] == null || rank < rows[app_id][col]) rows[app_id][col] = rank;
+    }
+    charts[chart] = rows;
+  }
+
+  const drop = Math.max(0, dates.length - keepDays);
+  const out = { updated: date, dates: dates.slice(drop), charts: {} };
+  for (const chart of CHARTS) {
+    out.charts[chart] = {};
+    for (const [id, row] of Object.entries(charts[chart])) {
+      const kept = row.slice(drop);
+      if (kept.some((r) => r != null)) out.charts[chart][id] = kept;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,41 @@
+// Rewrite the stored Balanced scores (score, band, score_parts, scoring_version)
+// in every storefront's dataset with the engine in scoring.js. The updater scores
+// as it writes; this is for after bumping SCORING_VERSION or editing a dataset by hand.
+//   npm run data:scores             rewrite datasets in place (and data/manifest.json)
+//   npm run data:scores -- --check  list datasets whose stored scores are out of date, exit 1 if any
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { withStoredScore } from "../scoring.js";
+import { dataFiles } from "./validate-data.mjs";
+import { writeManifest } from "./data-manifest.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.resolve(__dirname, "..", "data");
+
+const { values: args } = parseArgs({ options: { check: { type: "boolean", default: false } } });
+
+let pending = 0, checked = 0;
+for (const { file } of (await dataFiles()).filter((f) => f.kind === "apps")) {
+  const p = path.join(DATA_DIR, file);
+  let before;
+  try { before = JSON.parse(await fs.readFile(p, "utf8")); }
+  catch (e) { if (e.code === "ENOENT") continue; throw e; }
+  checked++;
+  const apps = before.apps || [];
+  const after = apps.map(withStoredScore);
+  const stale = after.filter((a, i) => JSON.stringify(a) !== JSON.stringify(apps[i]));
+  if (!stale.length) continue;
+  pending++;
+  if (args.check) {
+    console.log(`✗ ${file}: ${stale.length} app(s) with missing or out-of-date scores`);
+    for (const a of stale.slice(0, 5)) console.log(`  ✗ "${a.name}" (${a.app_id})`);
+  } else {
+    await fs.writeFile(p, JSON.stringify({ ...before, apps: after }, null, 2) + "\n", "utf8");
+    console.log(`✓ rescored ${stale.length} app(s) in ${file}`);
+  }
+}
+console.log(`${checked} dataset(s) checked, ${pending} ${args.check ? "need rescoring" : "rewritten"}`);
+if (args.check && pending) process.exit(1);
+if (!args.check && pending) console.log((await writeManifest()) ? "Wrote data/manifest.json" : "data/manifest.json unchanged");
@@ -1,181 +1,252 @@
-import puppeteer from "puppeteer";
+import { fetchAppPage, parsePrivacyFromHtml } from "./appstore-html.mjs";
+import { createBrowserPool } from "./pool.mjs";
+import { LABEL_SECTIONS as SECTIONS, NOT_COLLECTED, CATEGORIES, PURPOSES, canonicalPurpose } from "../taxonomy.js";
 
 const TIMEOUT_MS = 45000;
-const UA_FALLBACK =
+export const UA_FALLBACK =
   process.env.USER_AGENT ||
   // Realistic Safari UA helps avoid blocks:
   "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Safari/605.1.15";
 
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
-/** Keep only Apple's official categories */
-const ALLOWED = new Set([
-  "Contact Info","Health & Fitness","Financial Info","Location","Sensitive Info",
-  "User Content","Identifiers","Purchases","Usage Data","Diagnostics","Contacts",
-  "Search History","Browsing History","Browsing/Search History","Audio Data",
-  "Photos or Videos","Messages","Other Data","Other Data Types","Customer Support",
-  "Name"
-]);
-
-function cleanTokens(tokens) {
-  const out = [];
-  for (const raw of tokens) {
-    const t = (raw || "").replace(/\s+/g, " ").trim();
-    if (!t) continue;
-    if (/^app privacy$/i.test(t)) continue;
-    if (/^see details$/i.test(t)) continue;
-    if (/^learn more$/i.test(t)) continue;
-    if (t.length > 40) continue;
-    if (ALLOWED.has(t)) out.push(t);
+/**
+ * Runs inside the page. Reads every label card (and, when open, the detailed
+ * privacy view) in isolation: a card is the largest ancestor of its heading
+ * that contains no other section heading, so lists can't bleed across cards.
+ */
+function extractFromDocument({ sections, notCollected, categories, purposes }) {
+  const norm = (s) => (s || "").replace(/[‘’]/g, "'").replace(/\s+/g, " ").trim();
+  const sectionTitles = [...sections, notCollected];
+
+  // Leaf-ish elements whose own text matches one of `titles`
+  const headingsIn = (root, titles) =>
+    Array.from(root.querySelectorAll("h1,h2,h3,h4,h5,h6,dt,span,p,div,li"))
+      .filter((el) => titles.includes(norm(el.textContent)))
+      .filter((el) => !Array.from(el.children).some((c) => norm(c.textContent) === norm(el.textContent)));
+
+  // Grow from `heading` while the ancestor holds no other heading from `siblings`
+  const isolate = (heading, siblings, stopAt) => {
+    let box = heading;
+    while (box.parentElement && box.parentElement !== stopAt) {
+      const others = siblings.filter((h) => h !== heading && box.parentElement.contains(h));
+      if (others.length) break;
+      box = box.parentElement;
+    }
+    return box;
+  };
+
+  const leafTexts = (root) =>
+    Array.from(root.querySelectorAll("li, span, p, div, dd"))
+      .filter((el) => !el.children.length)
+      .map((el) => norm(el.textContent))
+      .filter(Boolean);
+
+  const dialog = document.querySelector("[role=dialog], dialog[open], .app-privacy__modal");
+
+  const readCards = (root, exclude = null) => {
+    const heads = headingsIn(root, sectionTitles).filter((h) => !exclude?.contains(h));
+    const out = {};
+    for (const h of heads) {
+      const title = norm(h.textContent);
+      if (out[title]) continue;
+      out[title] = { box: isolate(h, heads, root) };
+    }
+    return out;
+  };
+
+  // Summary cards: category names only
+  const summary = {};
+  for (const [title, { box }] of Object.entries(readCards(document.body, dialog))) {
+    summary[title] = Array.from(new Set(leafTexts(box).filter((t) => categories.includes(t))));
+  }
+
+  // Detailed view: section → purpose → category → subtypes
+  const detail = {};
+  if (dialog) {
+    for (const [title, { box }] of Object.entries(readCards(dialog))) {
+      const purposeHeads = headingsIn(box, purposes);
+      // "Data Used to Track You" has no purpose headings: treat it as one group
+      const groups = purposeHeads.length
+        ? purposeHeads.map((h) => ({ purpose: norm(h.textContent), box: isolate(h, purposeHeads, box) }))
+        : [{ purpose: null, box }];
+
+      detail[title] = groups.map(({ purpose, box: gBox }) => {
+        const catHeads = headingsIn(gBox, categories);
+        return {
+          purpose,
+          categories: catHeads.map((c) => {
+            const cBox = isolate(c, catHeads, gBox);
+            const name = norm(c.textContent);
+            const subtypes = leafTexts(cBox).filter((t) => t !== name && !categories.includes(t));
+            return { category: name, subtypes: Array.from(new Set(subtypes)) };
+          })
+        };
+      });
+    }
+  }
+
+  const anchors = Array.from(document.querySelectorAll("a"));
+  const findLink = (re) => anchors.find((a) => re.test(norm(a.textContent || a.ariaLabel)))?.href || null;
+
+  return {
+    summary,
+    detail,
+    privacyPolicyUrl: findLink(/privacy policy/i) || anchors.find((a) => /privacy/i.test(a.href))?.href || null,
+    developerWebsiteUrl: findLink(/developer website/i) || null
+  };
+}
+
+/**
+ * Turn the raw page extraction into our stored shape. Pure, so it can be
+ * exercised against saved pages without touching Apple.
+ */
+export function normalisePrivacy(raw) {
+  const privacy_labels = {};
+  const privacy_details = {};
+
+  const entry = (cat) =>
+    (privacy_details[cat] ||= {
+      tracked: false, linked: false, notLinked: false,
+      subtypes: [], purposes: [], sections: {}
+    });
+  const addUnique = (arr, items) => { for (const i of items) if (i && !arr.includes(i)) arr.push(i); };
+
+  for (const [title, flag] of Object.entries(SECTIONS)) {
+    const cats = new Set(raw.summary?.[title] || []);
+    for (const group of raw.detail?.[title] || []) {
+      for (const c of group.categories) cats.add(c.category);
+    }
+    privacy_labels[title] = CATEGORIES.filter((c) => cats.has(c));
+
+    for (const cat of privacy_labels[title]) {
+      const d = entry(cat);
+      d[flag] = true;
+      d.sections[flag] ||= { subtypes: [], purposes: [] };
+    }
+
+    for (const group of raw.detail?.[title] || []) {
+      for (const { category, subtypes } of group.categories) {
+        if (!CATEGORIES.includes(category)) continue;
+        const d = entry(category);
+        const s = d.sections[flag];
+        addUnique(s.subtypes, subtypes);
+        addUnique(d.subtypes, subtypes);
+        const purpose = canonicalPurpose(group.purpose);
+        if (purpose) {
+          addUnique(s.purposes, [purpose]);
+          addUnique(d.purposes, [purpose]);
+        }
+      }
+    }
   }
-  return Array.from(new Set(out));
+
+  // Keep purposes in Apple's order
+  for (const d of Object.values(privacy_details)) {
+    d.purposes = PURPOSES.filter((p) => d.purposes.includes(p));
+    for (const s of Object.values(d.sections)) s.purposes = PURPOSES.filter((p) => s.purposes.includes(p));
+  }
+
+  return {
+    privacy_labels,
+    privacy_details,
+    data_not_collected: Array.isArray(raw.summary?.[NOT_COLLECTED]) && !Object.keys(privacy_details).length
+  };
 }
 
-function textIncludes(el, needle) {
-  return ((el?.textContent || el?.innerText || "").toLowerCase().includes(needle));
+/** Open Apple's "See Details" view so subtypes and purposes are in the DOM */
+async function openDetails(page) {
+  const clicked = await page.evaluate(() => {
+    const btn = Array.from(document.querySelectorAll("button, a"))
+      .find((el) => /^see details$/i.test((el.textContent || "").trim()));
+    if (!btn) return false;
+    btn.click();
+    return true;
+  });
+  if (!clicked) return false;
+  try {
+    await page.waitForSelector("[role=dialog], dialog[open], .app-privacy__modal", { timeout: 8000 });
+    await sleep(600);
+    return true;
+  } catch {
+    return false;
+  }
 }
 
-export async function scrapePrivacyForApp(appId) {
-  const url = `https://apps.apple.com/ie/app/id${appId}`;
-  const browser = await puppeteer.launch({
-    headless: "new",
-    args: ["--no-sandbox", "--disable-setuid-sandbox"]
+/** Extract from a page that is already loaded (live URL or saved fixture) */
+export async function extractPrivacyFromPage(page) {
+  await openDetails(page);
+  return page.evaluate(extractFromDocument, {
+    sections: Object.keys(SECTIONS),
+    notCollected: NOT_COLLECTED,
+    categories: CATEGORIES,
+    purposes: PURPOSES
   });
+}
 
-  try {
-    const page = await browser.newPage();
-    await page.setUserAgent(UA_FALLBACK);
-
-    await page.goto(url, { waitUntil: "domcontentloaded", timeout: TIMEOUT_MS });
-    // Nudge the SPA to render the privacy section
-    await sleep(1200);
-    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight * 0.5));
-    await sleep(1000);
-    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight * 0.8));
-    await sleep(800);
-
-    const scraped = await page.evaluate((allowedList) => {
-      const byText = (needle) => {
-        needle = needle.toLowerCase();
-        const all = Array.from(document.querySelectorAll("h1,h2,h3,h4,section,div,span"));
-        return all.find((el) => (el.textContent || "").trim().toLowerCase() === needle) || null;
-      };
-
-      const nearestSectionFor = (headerEl) => {
-        if (!headerEl) return null;
-        const sec = headerEl.closest("section");
-        return sec || headerEl.parentElement || headerEl;
-      };
-
-      const harvest = (container) => {
-        if (!container) return [];
-        const chips = Array.from(container.querySelectorAll("li, span, div, a"))
-          .map((el) => (el.textContent || "").trim())
-          .filter(Boolean);
-        // Filter later in Node using allowed set
-        return chips;
-      };
-
-      const sections = {
-        track: nearestSectionFor(byText("Data Used to Track You")),
-        linked: nearestSectionFor(byText("Data Linked to You")),
-        notLinked: nearestSectionFor(byText("Data Not Linked to You"))
-      };
-
-      const rawLabels = {
-        "Data Used to Track You": harvest(sections.track),
-        "Data Linked to You": harvest(sections.linked),
-        "Data Not Linked to You": harvest(sections.notLinked)
-      };
-
-      // Try to find "Privacy Policy" and "Developer Website" links
-      const anchors = Array.from(document.querySelectorAll("a"));
-      const findLink = (substr) => {
-        substr = substr.toLowerCase();
-        const hit = anchors.find(
-          (a) =>
-            (a.textContent || a.ariaLabel || "").toLowerCase().includes(substr)
-        );
-        return hit?.href || null;
-      };
-
-      const privacyPolicyUrl =
-        findLink("privacy policy") ||
-        anchors.find(a => /privacy/i.test(a.href))?.href ||
-        null;
-
-      const developerWebsiteUrl =
-        findLink("developer website") ||
-        anchors.find(a => /developer/i.test(a.textContent || ""))?.href ||
-        null;
-
-      // Collect “purposes” if Apple shows them inline (varies)
-      const purposeMap = {};
-      const purposeBlocks = Array.from(document.querySelectorAll("section,div"));
-      purposeBlocks.forEach((blk) => {
-        const t = (blk.textContent || "").toLowerCase();
-        if (!/app privacy|data used|data linked|data not linked/.test(t)) return;
-
-        const catChips = Array.from(blk.querySelectorAll("li,span,div"))
-          .map((n) => (n.textContent || "").trim())
-          .filter(Boolean);
-        const cats = Array.from(new Set(catChips));
-        let purposes = [];
-        if (/advertis(ing|ements)/i.test(t)) purposes.push("Advertising");
-        if (/personalization|personalisation/i.test(t)) purposes.push("Personalization");
-        if (/analytics/i.test(t)) purposes.push("Analytics");
-        if (/fraud/i.test(t)) purposes.push("Fraud Prevention");
-        if (/functionality|app function/i.test(t)) purposes.push("App Functionality");
-
-        cats.forEach((c) => {
-          if (!purposeMap[c]) purposeMap[c] = new Set();
-          purposes.forEach((p) => purposeMap[c].add(p));
-        });
-      });
+/** Slow path: render the page in headless Chromium and read the DOM */
+async function scrapeWithBrowser(page, url) {
+  await page.setUserAgent(UA_FALLBACK);
 
-      return {
-        rawLabels,
-        privacyPolicyUrl,
-        developerWebsiteUrl,
-        purposeMap: Object.fromEntries(
-          Object.entries(purposeMap).map(([k, v]) => [k, Array.from(v)])
-        )
-      };
-    }, Array.from(ALLOWED));
-
-    // Clean and normalize
-    const cleaned = {};
-    for (const [k, arr] of Object.entries(scraped.rawLabels || {})) {
-      cleaned[k] = cleanTokens(arr || []);
-    }
+  await page.goto(url, { waitUntil: "domcontentloaded", timeout: TIMEOUT_MS });
+  // Nudge the SPA to render the privacy section
+  await sleep(1200);
+  await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight * 0.5));
+  await sleep(1000);
+  await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight * 0.8));
+  await sleep(800);
+
+  return extractPrivacyFromPage(page);
+}
 
-    // Build per-category flags (tracked/linked/notLinked)
-    const allCats = new Set([
-      ...(cleaned["Data Used to Track You"] || []),
-      ...(cleaned["Data Linked to You"] || []),
-      ...(cleaned["Data Not Linked to You"] || [])
-    ]);
-
-    const privacy_details = {};
-    for (const cat of allCats) {
-      privacy_details[cat] = {
-        tracked: (cleaned["Data Used to Track You"] || []).includes(cat) || false,
-        linked: (cleaned["Data Linked to You"] || []).includes(cat) || false,
-        notLinked: (cleaned["Data Not Linked to You"] || []).includes(cat) || false,
-        subtypes: [],
-        purposes: scraped.purposeMap?.[cat] || []
-      };
+/**
+ * Fetch the page HTML and parse the embedded label data; only use a browser
+ * page when that fails. `scrape_method` records which path was used.
+ *
+ * Options (all optional, the updater passes them in):
+ *   country   – storefront to read the page from (default "ie")
+ *   pool      – shared browser pool from pool.mjs (else a one-off browser)
+ *   throttle  – per-host pacing, awaited before every request to Apple
+ *   retry     – wraps each attempt, e.g. (fn) => withRetry(fn, {...})
+ */
+export async function scrapePrivacyForApp(appId, { country = "ie", pool = null, throttle = null, retry = (fn) => fn() } = {}) {
+  const url = `https://apps.apple.com/${country}/app/id${appId}`;
+
+  let scraped = null;
+  let method = "fetch";
+  try {
+    const html = await retry(() => fetchAppPage(appId, { country, userAgent: UA_FALLBACK, throttle }));
+    scraped = parsePrivacyFromHtml(html);
+    if (scraped?.unknownIdentifiers.length) {
+      console.warn(`  ${appId}: App Store identifiers missing from appstore-html.mjs: ${scraped.unknownIdentifiers.join(", ")}`);
     }
+  } catch (e) {
+    // Still rate-limited after retries: a browser would only make it worse
+    if (e.status === 429) throw e;
+    console.warn(`  fetch path failed for ${appId}: ${e.message}`);
+  }
 
-    return {
-      as_of: new Date().toISOString(),
-      privacy_labels: cleaned,
-      privacy_details,
-      privacy_policy_url: scraped.privacyPolicyUrl || null,
-      developer_website_url: scraped.developerWebsiteUrl || null,
-      sources: [{ label: "App Store (IE)", url }]
+  if (!scraped) {
+    method = "browser";
+    const run = async (page) => {
+      await throttle?.(url);
+      return scrapeWithBrowser(page, url);
     };
-  } finally {
-    await browser.close();
+    scraped = await retry(() => (pool ? pool.withPage(run) : withOneOffPage(run)));
   }
+
+  return {
+    as_of: new Date().toISOString(),
+    scrape_method: method,
+    ...normalisePrivacy(scraped),
+    privacy_policy_url: scraped.privacyPolicyUrl || null,
+    developer_website_url: scraped.developerWebsiteUrl || null,
+    sources: [{ label: `App Store (${country.toUpperCase()})`, url }]
+  };
+}
+
+async function withOneOffPage(fn) {
+  const pool = createBrowserPool({ maxPages: 1 });
+  try { return await pool.withPage(fn); }
+  finally { await pool.close(); }
 }
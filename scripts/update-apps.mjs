@@ -1,15 +1,61 @@
 import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { performance } from "perf_hooks";
 import { scrapePrivacyForApp } from "./scrape-privacy.mjs";
+import { createBrowserPool, createHostThrottle, mapWithConcurrency, withRetry } from "./pool.mjs";
+import { cacheAgeDays, planRefresh, pruneCache } from "./cache-policy.mjs";
+import { snapshotRecord, appendChangelog } from "./label-diff.mjs";
+import { validateData, formatErrors, checkConsistency } from "./validate-data.mjs";
+import { retrievePolicy } from "./policy-analysis.mjs";
+import { appendRanks } from "./rank-history.mjs";
+import { lookupApps, metadataFromLookup } from "./itunes-lookup.mjs";
+import { writeManifest } from "./data-manifest.mjs";
+import { migratePrivacy } from "../taxonomy.js";
+import { withStoredScore } from "../scoring.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.resolve(__dirname, "..");
 const DATA_DIR = path.join(ROOT, "data");
-const APPS_JSON = path.join(DATA_DIR, "apps.json");
+const COUNTRIES_JSON = path.join(DATA_DIR, "countries.json");
 const CACHE_DIR = path.join(DATA_DIR, "privacy_cache");
+const POLICY_DIR = path.join(DATA_DIR, "policy_cache");
+const LOOKUP_DIR = path.join(DATA_DIR, "lookup_cache");
 
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+// npm run update:apps -- --concurrency=6 --host-interval=250 --retries=4
+// npm run update:apps -- --force=1138895159,284882215 --prune
+// npm run update:apps -- --countries=ie,gb,de
+const { values: args } = parseArgs({
+  options: {
+    countries: { type: "string", default: "" },        // storefronts to update (default: countries.json default)
+    concurrency: { type: "string", default: "4" },     // apps scraped in parallel
+    "browser-pages": { type: "string", default: "2" }, // open pages in the shared browser
+    "host-interval": { type: "string", default: "400" }, // min ms between requests to one host
+    retries: { type: "string", default: "3" },
+    "max-age-days": { type: "string", default: "7" },  // re-scrape cached labels older than this
+    "max-refresh": { type: "string", default: "40" },  // cap on stale re-scrapes per run
+    force: { type: "string", default: "" },            // comma-separated app ids to re-scrape
+    "force-all": { type: "boolean", default: false },
+    prune: { type: "boolean", default: false },        // delete cache files for apps off every chart
+    "keep-snapshots": { type: "string", default: "90" }, // dated snapshots kept in data/history
+    "rank-days": { type: "string", default: "90" },    // days of chart positions kept in data/ranks*.json
+    "policy-max-age-days": { type: "string", default: "30" }, // re-download privacy policies older than this
+    "skip-policies": { type: "boolean", default: false }, // keep cached policy analysis, fetch nothing new
+    "max-drop": { type: "string", default: "0.3" }    // refuse to publish if app count falls by more than this
+  }
+});
+const CONCURRENCY = Math.max(1, Number(args.concurrency) || 1);
+const BROWSER_PAGES = Math.max(1, Number(args["browser-pages"]) || 1);
+const HOST_INTERVAL_MS = Math.max(0, Number(args["host-interval"]) || 0);
+const RETRIES = Math.max(0, Number(args.retries) || 0);
+const MAX_AGE_DAYS = Math.max(0, Number(args["max-age-days"]) || 0);
+const MAX_REFRESH = Math.max(0, Number(args["max-refresh"]) || 0);
+const KEEP_SNAPSHOTS = Math.max(1, Number(args["keep-snapshots"]) || 1);
+const RANK_DAYS = Math.max(1, Number(args["rank-days"]) || 1);
+const MAX_DROP = Math.min(1, Math.max(0, Number(args["max-drop"]) || 0));
+const POLICY_MAX_AGE_DAYS = Math.max(0, Number(args["policy-max-age-days"]) || 0);
+const FORCE_IDS = args.force.split(",").map((s) => s.trim()).filter(Boolean);
 
 // Node 18+ has global fetch
 async function ensureDir(p) { await fs.mkdir(p, { recursive: true }); }
@@ -27,13 +73,15 @@ function idFromUrl(u) {
   return m ? m[1] : null;
 }
 
-async function fetchRss(kind, limit = 50, genre = null) {
-  const country = "ie";
+async function fetchRss(country, kind, limit = 50, genre = null, { throttle, retry = (fn) => fn() } = {}) {
   const base = `https://itunes.apple.com/${country}/rss/${kind}/limit=${limit}`;
   const url = genre ? `${base}/genre=${genre}/json` : `${base}/json`;
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`RSS ${kind} HTTP ${res.status}`);
-  const data = await res.json();
+  const data = await retry(async () => {
+    await throttle?.(url);
+    const res = await fetch(url, { signal: AbortSignal.timeout(20000) });
+    if (!res.ok) throw Object.assign(new Error(`RSS ${country}/${kind} HTTP ${res.status}`), { status: res.status });
+    return res.json();
+  });
   const entries = data.feed?.entry || [];
 
   return entries.map((e, idx) => {
@@ -51,38 +99,66 @@ async function fetchRss(kind, limit = 50, genre = null) {
   });
 }
 
+// The three boards: Apple's RSS feed and genre for each
+const GENRE_GAMES = 6014;
+const CHARTS = {
+  free: { chart: "topfreeapplications" },
+  paid: { chart: "toppaidapplications" },
+  games: { chart: "topfreeapplications", genre: GENRE_GAMES }
+};
+
 function keyNameDev(a) {
   return `${(a.name || "").toLowerCase().trim()}|${(a.developer || "").toLowerCase().trim()}`;
 }
 
-async function mergePrivacy(app) {
+// Per-run counters: how each label was obtained, retries, per-app timings
+const stats = { cache: 0, fetch: 0, browser: 0, failed: 0, retries: 0, timings: [] };
+const policyStats = { cached: 0, fetched: 0, changed: 0, failed: 0 };
+
+function appIdOf(app) {
   // get appId from existing, or from sources
-  let appId = app.app_id || app.id;
-  if (!appId && app.sources?.length) {
-    for (const s of app.sources) {
-      const id = idFromUrl(s.url);
-      if (id) { appId = id; break; }
-    }
+  if (app.app_id || app.id) return String(app.app_id || app.id);
+  for (const s of app.sources || []) {
+    const id = idFromUrl(s.url);
+    if (id) return id;
   }
-  if (!appId) return app; // skip if we can’t determine id
+  return null;
+}
 
-  const cachePath = path.join(CACHE_DIR, `${appId}.json`);
-  let cached = await readJson(cachePath);
+/**
+ * `refresh` is the planRefresh() reason (missing/forced/stale) or undefined to
+ * use the cache. A failed refresh keeps the previous cached label.
+ * Returns { merged, via } where `via` is how the label was obtained
+ * ("fetch"/"browser" followed by the reason when it was scraped just now).
+ */
+async function mergePrivacy(app, { appId, cached, refresh }, scrapeOpts) {
+  if (!appId) return { merged: app, via: "skipped" }; // skip if we can’t determine id
 
-  if (!cached) {
+  let via = "cache";
+  if (refresh) {
     try {
-      cached = await scrapePrivacyForApp(appId);
-      await writeJson(cachePath, cached);
+      const fresh = await scrapePrivacyForApp(appId, scrapeOpts);
+      await writeJson(path.join(CACHE_DIR, `${appId}.json`), fresh);
+      stats[fresh.scrape_method]++;
+      via = `${fresh.scrape_method} (${refresh})`;
+      cached = fresh;
     } catch (e) {
+      stats.failed++;
       console.warn(`Privacy scrape failed for "${app.name}" (${appId}): ${e.message}`);
-      return app;
+      if (!cached) return { merged: app, via: "failed" };
+      via = `cache (${refresh} refresh failed)`;
     }
   }
+  // Not refreshed (already tried for an earlier storefront, say) and nothing cached
+  if (!cached) return { merged: app, via: "failed" };
+  if (via.startsWith("cache")) stats.cache++;
 
   const merged = { ...app, app_id: appId };
 
+  if (cached.as_of) merged.label_as_of = cached.as_of.slice(0, 10);
   if (cached.privacy_labels) merged.privacy_labels = cached.privacy_labels;
   if (cached.privacy_details) merged.privacy_details = cached.privacy_details;
+  if (cached.data_not_collected) merged.data_not_collected = true;
   if (cached.privacy_policy_url) merged.privacy_policy_url = cached.privacy_policy_url;
   if (cached.developer_website_url) merged.developer_website_url = cached.developer_website_url;
 
@@ -100,28 +176,172 @@ async function mergePrivacy(app) {
     ];
   }
 
-  return merged;
+  return { merged, via };
 }
 
-async function main() {
-  console.log("== FiosFon updater (charts → scrape) ==");
+// One download per policy URL per run: many apps from one developer share a policy
+const policyDownloads = new Map();
 
-  await ensureDir(CACHE_DIR);
-  const GENRE_GAMES = 6014;
+/**
+ * Attach the privacy policy analysis to `app` as `privacy_policy`. The full
+ * text and hash live in data/policy_cache/<app_id>.json; a policy is
+ * downloaded again when missing, when its URL changed, when forced, or once
+ * older than --policy-max-age-days. A failed download keeps the cached copy.
+ */
+async function mergePolicy(app, { force, throttle, retry }) {
+  const url = app.privacy_policy_url;
+  if (!app.app_id || !url) return app;
+  const file = path.join(POLICY_DIR, `${app.app_id}.json`);
+  let cached = await readJson(file);
+  const due = !cached || cached.url !== url || force || cacheAgeDays(cached) > POLICY_MAX_AGE_DAYS;
+
+  if (due && !args["skip-policies"]) {
+    try {
+      if (!policyDownloads.has(url)) {
+        policyDownloads.set(url, retry(() => retrievePolicy(url, { throttle })));
+      }
+      const fresh = { app_id: app.app_id, ...(await policyDownloads.get(url)) };
+      const changed = cached?.url === url && cached.hash && cached.hash !== fresh.hash;
+      fresh.changed_at = changed || !cached?.changed_at ? fresh.fetched_at : cached.changed_at;
+      if (changed) {
+        fresh.previous_hash = cached.hash;
+        policyStats.changed++;
+      }
+      await writeJson(file, fresh);
+      policyStats.fetched++;
+      cached = fresh;
+    } catch (e) {
+      policyStats.failed++;
+      console.warn(`  policy download failed for "${app.name}" (${url}): ${e.message}`);
+      if (cached?.url !== url) return app;
+    }
+  } else if (cached?.url === url) {
+    policyStats.cached++;
+  }
+  if (cached?.url !== url) return app;
+
+  return {
+    ...app,
+    privacy_policy: {
+      url: cached.final_url || cached.url,
+      hash: cached.hash,
+      fetched_on: cached.fetched_at.slice(0, 10),
+      changed_on: (cached.changed_at || cached.fetched_at).slice(0, 10),
+      word_count: cached.word_count,
+      ...cached.signals
+    }
+  };
+}
+
+/**
+ * iTunes Lookup metadata (genre, price, ratings, version, …) for one
+ * storefront's charted apps. It's cheap, so every app is looked up again on
+ * each run; apps whose batch fails keep their entry in
+ * data/lookup_cache/<cc>.json. Returns Map<app_id, metadata>.
+ */
+async function loadMetadata(cc, ids, { throttle, retry }) {
+  const file = path.join(LOOKUP_DIR, `${cc}.json`);
+  const cached = (await readJson(file))?.apps || {};
+  const today = new Date().toISOString().slice(0, 10);
+  const { results, failed, error } = await lookupApps(ids, { country: cc, throttle, retry });
+  const failedIds = new Set(failed);
+
+  const apps = {};
+  let fromCache = 0;
+  for (const id of ids) {
+    if (results.has(id)) apps[id] = metadataFromLookup(results.get(id), today);
+    else if (failedIds.has(id) && cached[id]) { apps[id] = cached[id]; fromCache++; }
+  }
+  if (failed.length) console.warn(`Lookup failed for ${failed.length} app(s): ${error.message}`);
+  await writeJson(file, { updated: today, apps });
+  console.log(`Metadata: ${results.size} looked up, ${fromCache} from cache, ${ids.length - Object.keys(apps).length} missing`);
+  return new Map(Object.entries(apps));
+}
+
+/** Output paths for one storefront, from its data/countries.json entry */
+function countryFiles(country) {
+  return {
+    apps: path.join(DATA_DIR, country.dataset),
+    changelog: path.join(DATA_DIR, country.changelog),
+    ranks: path.join(DATA_DIR, country.ranks),
+    history: path.join(DATA_DIR, "history", country.code),
+    rejected: path.join(DATA_DIR, country.dataset.replace(/\.json$/, ".rejected.json"))
+  };
+}
+
+/**
+ * Baseline for today's diff: the newest snapshot from an earlier day, so
+ * re-running on the same day recomputes (rather than loses) today's changes.
+ * Falls back to the current dataset before any snapshots exist.
+ */
+async function loadBaseline(files, today) {
+  let names = [];
+  try { names = await fs.readdir(files.history); } catch {}
+  const earlier = names.filter((f) => /^\d{4}-\d{2}-\d{2}\.json$/.test(f) && f < `${today}.json`).sort();
+  if (earlier.length) return (await readJson(path.join(files.history, earlier.at(-1))))?.apps || [];
+  return (await readJson(files.apps))?.apps || [];
+}
+
+/** Write history/<country>/<date>.json and drop all but the newest `keep` */
+async function writeSnapshot(files, date, apps, keep) {
+  await ensureDir(files.history);
+  await writeJson(path.join(files.history, `${date}.json`), {
+    as_of: date,
+    apps: apps.filter((a) => a.app_id).map(snapshotRecord)
+  });
+  const names = (await fs.readdir(files.history)).filter((f) => /^\d{4}-\d{2}-\d{2}\.json$/.test(f)).sort();
+  for (const f of names.slice(0, Math.max(0, names.length - keep))) await fs.unlink(path.join(files.history, f));
+}
+
+/**
+ * Gate before publishing: the same checks as npm run validate:data (schema,
+ * then scores and charts) and no sharp drop in app count versus the last good
+ * dataset. Returns a list of problems (empty when OK).
+ */
+async function checkPublishable(files, result, changelog, ranks) {
+  const problems = [];
+  for (const [kind, data] of [["apps", result], ["changelog", changelog], ["ranks", ranks]]) {
+    const { ok, errors } = await validateData(kind, data);
+    if (!ok) {
+      problems.push(`${kind}: ${errors.length} schema violation(s)`, ...formatErrors(errors, data));
+      continue;
+    }
+    const inconsistent = checkConsistency(kind, data);
+    if (inconsistent.length) problems.push(`${kind}: ${inconsistent.length} problem(s)`, ...inconsistent.map((line) => `  ✗ ${line}`));
+  }
+
+  const previous = (await readJson(files.apps))?.apps?.length || 0;
+  const floor = Math.ceil(previous * (1 - MAX_DROP));
+  if (previous && result.apps.length < floor) {
+    problems.push(`app count dropped from ${previous} to ${result.apps.length} (minimum allowed ${floor}, --max-drop=${MAX_DROP})`);
+  }
+  return problems;
+}
+
+function fmtMs(ms) { return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.round(ms)}ms`; }
+
+/**
+ * One storefront: charts → refresh plan → scrape → gate → write. The label
+ * cache is shared across countries (labels belong to the app, not the store),
+ * so an app already refreshed for an earlier country is not scraped again.
+ * Returns false when the gate refused to publish.
+ */
+async function updateCountry(country, { pool, throttle, retry }) {
+  const cc = country.code;
+  const files = countryFiles(country);
+  console.log(`-- ${country.name} (${cc}) --`);
 
   // 1) fetch fresh charts
-  const [free, paid, games] = await Promise.all([
-    fetchRss("topfreeapplications", 50),
-    fetchRss("toppaidapplications", 50),
-    fetchRss("topfreeapplications", 50, GENRE_GAMES)
-  ]);
+  const rssOpts = { throttle, retry };
+  const [free, paid, games] = await Promise.all(Object.values(CHARTS)
+    .map(({ chart, genre }) => fetchRss(cc, chart, 50, genre ?? null, rssOpts)));
   console.log(`Fetched charts: free=${free.length}, paid=${paid.length}, games=${games.length}`);
 
   // 2) combine unique by (name+dev)
-  const pool = [...free, ...paid, ...games];
+  const charted = [...free, ...paid, ...games];
   const seen = new Set();
   const unique = [];
-  for (const a of pool) {
+  for (const a of charted) {
     const k = keyNameDev(a);
     if (seen.has(k)) continue;
     seen.add(k);
@@ -129,21 +349,165 @@ async function main() {
   }
   console.log(`Combined unique apps to process: ${unique.length}`);
 
-  // 3) scrape privacy for each (sequential to be gentle)
-  const out = [];
-  let n = 0;
-  for (const app of unique) {
-    const idx = ++n;
-    const idCandidate = (app.sources?.length ? idFromUrl(app.sources[0].url) : null) || app.app_id || "";
-    console.log(`• ${app.name} (${idCandidate || "no-id"})`);
-    out.push(await mergePrivacy(app));
-    await sleep(300); // tiny delay
+  // 3) decide which cached labels to refresh (missing, forced, then stale oldest-first)
+  const entries = await Promise.all(unique.map(async (app) => {
+    const appId = appIdOf(app);
+    // Cache files written before the shared taxonomy still use the old names
+    const cached = appId ? migratePrivacy(await readJson(path.join(CACHE_DIR, `${appId}.json`))) : null;
+    return { app, appId, cached };
+  }));
+  // Apps already refreshed for an earlier storefront this run just reuse that cache entry
+  const plan = planRefresh(entries.filter((e) => !refreshedThisRun.has(e.appId)), {
+    maxAgeDays: MAX_AGE_DAYS,
+    maxRefresh: MAX_REFRESH,
+    force: FORCE_IDS,
+    forceAll: args["force-all"]
+  });
+  const reasons = [...plan.values()];
+  const staleLeft = entries.filter((e) => e.cached && !plan.has(e.appId) && cacheAgeDays(e.cached) > MAX_AGE_DAYS).length;
+  console.log(
+    `Refresh plan: ${reasons.filter((r) => r === "missing").length} missing, ` +
+    `${reasons.filter((r) => r === "forced").length} forced, ${reasons.filter((r) => r === "stale").length} stale` +
+    (staleLeft ? ` (${staleLeft} more stale, deferred by --max-refresh)` : "")
+  );
+
+  const metadata = await loadMetadata(cc, [...new Set(entries.map((e) => e.appId).filter(Boolean))], { throttle, retry });
+
+  // 4) scrape privacy, a few at a time; throttle keeps each host's request rate gentle
+  let done = 0;
+  const out = await mapWithConcurrency(entries, CONCURRENCY, async ({ app, appId, cached }) => {
+    const t0 = performance.now();
+    const refresh = plan.get(appId);
+    const { merged: labelled, via } = await mergePrivacy(app, { appId, cached, refresh }, { pool, throttle, retry, country: cc });
+    const merged = await mergePolicy(labelled, {
+      force: args["force-all"] || FORCE_IDS.includes(String(appId)),
+      throttle,
+      retry
+    });
+    if (metadata.has(appId)) merged.metadata = metadata.get(appId);
+    // Only a label scraped just now is reused as-is for later storefronts; a failed
+    // scrape stays in their refresh plans
+    if (refresh && !via.startsWith("cache") && via !== "failed") refreshedThisRun.add(appId);
+    // The Balanced score, so the site only computes scores for other profiles
+    const scored = withStoredScore(merged);
+    const ms = performance.now() - t0;
+    stats.timings.push(ms);
+    console.log(`[${cc} ${++done}/${unique.length}] ${app.name} (${merged.app_id || "no-id"}) ${via} ${fmtMs(ms)}`);
+    return scored;
+  });
+  for (const e of entries) if (e.appId) chartedIds.add(e.appId);
+
+  // 5) diff against the last snapshot, then write the dataset, the snapshot and the change log
+  const today = new Date().toISOString().slice(0, 10);
+  const baseline = await loadBaseline(files, today);
+  const changelog = appendChangelog(await readJson(files.changelog), baseline, out, today);
+  const changedToday = Object.values(changelog.apps).filter((a) => a.events.some((e) => e.date === today)).length;
+
+  // Each chart's own positions, not the single merged `rank`
+  const chartRanks = {};
+  for (const [chart, list] of Object.entries({ free, paid, games })) {
+    chartRanks[chart] = list.map((a) => ({ app_id: appIdOf(a), rank: a.rank }));
+  }
+  const ranks = appendRanks(await readJson(files.ranks), chartRanks, today, RANK_DAYS);
+
+  // The same lists go into the dataset, so the site can rebuild each board as
+  // charted without Apple (apps holds one merged `rank` per app)
+  const charts = {};
+  for (const [key, list] of Object.entries(chartRanks)) {
+    charts[key] = { ...CHARTS[key], as_of: today, apps: list.filter((e) => e.app_id) };
+  }
+  const result = { as_of: today, country: cc, charts, apps: out };
+  const problems = await checkPublishable(files, result, changelog, ranks);
+  if (problems.length) {
+    await writeJson(files.rejected, result);
+    console.error(`Refusing to overwrite the last good ${country.dataset}:`);
+    for (const line of problems) console.error(line);
+    console.error(`Rejected output saved to ${files.rejected}`);
+    return false;
+  }
+  await writeJson(files.apps, result);
+  console.log("Wrote", files.apps);
+  await writeSnapshot(files, today, out, KEEP_SNAPSHOTS);
+  await writeJson(files.changelog, changelog);
+  await writeJson(files.ranks, ranks);
+  console.log(`Wrote snapshot ${cc}/${today}, change log (${changedToday} app(s) changed) and ${country.ranks}`);
+  return true;
+}
+
+// Shared across countries within one run
+const refreshedThisRun = new Set();
+const chartedIds = new Set();
+
+async function main() {
+  console.log("== FiosFon updater (charts → scrape) ==");
+  console.log(`concurrency=${CONCURRENCY} browser-pages=${BROWSER_PAGES} host-interval=${HOST_INTERVAL_MS}ms retries=${RETRIES}`);
+  console.log(`max-age-days=${MAX_AGE_DAYS} max-refresh=${MAX_REFRESH}${args["force-all"] ? " force-all" : ""}${FORCE_IDS.length ? ` force=${FORCE_IDS.join(",")}` : ""}`);
+  const started = performance.now();
+
+  const registry = await readJson(COUNTRIES_JSON);
+  if (!registry?.countries?.length) throw new Error(`No storefronts in ${COUNTRIES_JSON}`);
+  const wanted = (args.countries || registry.default).split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+  const countries = wanted.map((code) => {
+    const c = registry.countries.find((x) => x.code === code);
+    if (!c) throw new Error(`Unknown storefront "${code}" (see ${COUNTRIES_JSON})`);
+    return c;
+  });
+  console.log(`Storefronts: ${countries.map((c) => c.code).join(", ")}`);
+
+  await ensureDir(CACHE_DIR);
+  await ensureDir(POLICY_DIR);
+  await ensureDir(LOOKUP_DIR);
+
+  const throttle = createHostThrottle(HOST_INTERVAL_MS);
+  const retry = (fn) => withRetry(fn, {
+    retries: RETRIES,
+    onRetry: (err, attempt, wait) => {
+      stats.retries++;
+      console.warn(`  retry ${attempt}/${RETRIES} in ${fmtMs(wait)}: ${err.message}`);
+    }
+  });
+  const pool = createBrowserPool({ maxPages: BROWSER_PAGES });
+
+  const refused = [];
+  try {
+    for (const country of countries) {
+      if (!(await updateCountry(country, { pool, throttle, retry }))) refused.push(country.code);
+    }
+  } finally {
+    await pool.close();
+  }
+
+  if (args.prune) {
+    // Storefronts not updated this run still chart their apps: keep those labels too
+    for (const c of registry.countries.filter((x) => !countries.includes(x))) {
+      for (const a of (await readJson(countryFiles(c).apps))?.apps || []) if (a.app_id) chartedIds.add(String(a.app_id));
+    }
+    const removed = await pruneCache(CACHE_DIR, chartedIds);
+    const removedPolicies = await pruneCache(POLICY_DIR, chartedIds);
+    console.log(`Pruned ${removed.length} label and ${removedPolicies.length} policy cache file(s) for apps no longer charted`);
   }
 
-  // 4) write apps.json in our simple format
-  const result = { as_of: new Date().toISOString().slice(0, 10), apps: out };
-  await writeJson(APPS_JSON, result);
-  console.log("Wrote", APPS_JSON);
+  // Hashes of whatever is now published, refused storefronts included (their last good files)
+  console.log((await writeManifest()) ? "Wrote data/manifest.json" : "data/manifest.json unchanged");
+
+  const t = stats.timings.slice().sort((a, b) => a - b);
+  const avg = t.reduce((s, x) => s + x, 0) / (t.length || 1);
+  console.log(
+    `Labels: ${stats.cache} cached, ${stats.fetch} via fetch, ` +
+    `${stats.browser} via browser, ${stats.failed} failed, ${stats.retries} retries`
+  );
+  console.log(
+    `Policies: ${policyStats.cached} cached, ${policyStats.fetched} downloaded ` +
+    `(${policyStats.changed} changed), ${policyStats.failed} failed`
+  );
+  console.log(
+    `Timing: total ${fmtMs(performance.now() - started)}, per app avg ${fmtMs(avg)}, ` +
+    `p95 ${fmtMs(t[Math.floor(t.length * 0.95)] || 0)}, max ${fmtMs(t[t.length - 1] || 0)}`
+  );
+  if (refused.length) {
+    console.error(`Not published: ${refused.join(", ")}`);
+    process.exitCode = 1;
+  }
   console.log("== FiosFon updater done ==");
 }
 
@@ -0,0 +1,249 @@
+// Schema gate for the published data files. Used by the updater before it
+// writes, and runnable on its own: npm run validate:data
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+import { CATEGORIES, PURPOSES } from "../taxonomy.js";
+import { SCORING_VERSION, storedScore } from "../scoring.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, "..");
+const DATA_DIR = path.join(ROOT, "data");
+const SCHEMA_DIR = path.join(DATA_DIR, "schema");
+const LOCALES_DIR = path.join(ROOT, "locales");
+
+/** kind of data file → schema file in data/schema/ */
+export const SCHEMAS = {
+  apps: "apps.schema.json",
+  changelog: "changelog.schema.json",
+  ranks: "ranks.schema.json",
+  glossary: "glossary.schema.json",
+  rights: "rights.schema.json",
+  countries: "countries.schema.json",
+  manifest: "manifest.schema.json"
+};
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+const compiled = new Map();
+
+// The apps schema spells out taxonomy.js's lists; refuse to validate against a stale copy
+function checkTaxonomy(schema) {
+  for (const [def, list] of [["category", CATEGORIES], ["purpose", PURPOSES]]) {
+    const inSchema = schema.definitions?.[def]?.enum || [];
+    if (inSchema.join("|") !== list.join("|")) {
+      throw new Error(`${SCHEMAS.apps}: definitions.${def} is out of step with taxonomy.js`);
+    }
+  }
+}
+
+const readSchema = async (schemaFile) => JSON.parse(await fs.readFile(path.join(SCHEMA_DIR, schemaFile), "utf8"));
+
+async function validatorFor(schemaFile) {
+  if (!compiled.has(schemaFile)) {
+    const schema = await readSchema(schemaFile);
+    if (schemaFile === SCHEMAS.apps) checkTaxonomy(schema);
+    compiled.set(schemaFile, ajv.compile(schema));
+  }
+  return compiled.get(schemaFile);
+}
+
+/** Validate `data` against the schema for `kind` (see SCHEMAS); returns { ok, errors } */
+export async function validateData(kind, data) {
+  const validate = await validatorFor(SCHEMAS[kind]);
+  const ok = validate(data);
+  return { ok, errors: ok ? [] : validate.errors };
+}
+
+/** The `version` of the schema for `kind`; bump it when a change breaks older readers */
+export async function schemaVersion(kind) {
+  return (await readSchema(SCHEMAS[kind])).version;
+}
+
+/**
+ * Human-readable violations, one per line. For apps.json, errors under
+ * /apps/<n> are prefixed with that app's name and id so they're easy to find.
+ */
+export function formatErrors(errors, data) {
+  return errors.map((e) => {
+    const m = e.instancePath.match(/^\/apps\/(\d+)(.*)$/);
+    const where = m
+      ? `apps[${m[1]}] "${data?.apps?.[m[1]]?.name ?? "?"}" (${data?.apps?.[m[1]]?.app_id ?? "no app_id"}) ${m[2] || "/"}`
+      : e.instancePath || "/";
+    const extra = e.params?.allowedValues ? `: ${JSON.stringify(e.params.allowedValues.slice(0, 5))}…` : "";
+    const bad = e.keyword === "propertyNames" ? ` (${JSON.stringify(e.params.propertyName)})` : "";
+    return `  ✗ ${where} ${e.message}${bad}${extra}`;
+  });
+}
+
+/**
+ * Every data file to check, driven by data/countries.json. Per-country
+ * datasets, change logs and rank histories only exist once the updater has run for them,
+ * so those may be missing; the shared files may not.
+ */
+export async function dataFiles() {
+  const files = [
+    { file: "countries.json", kind: "countries", required: true },
+    { file: "glossary.json", kind: "glossary", required: true }
+  ];
+  const registry = await readData("countries.json").catch(() => ({ countries: [] }));
+  const seen = new Set(files.map((f) => f.file));
+  for (const c of registry.countries || []) {
+    const isDefault = c.code === registry.default;
+    for (const [file, kind, required] of [
+      [c.dataset, "apps", isDefault],
+      [c.changelog, "changelog", false],
+      [c.ranks, "ranks", false],
+      [c.rights, "rights", true]
+    ]) {
+      if (seen.has(file)) continue;
+      seen.add(file);
+      files.push({ file, kind, required });
+    }
+  }
+  return files;
+}
+
+async function readData(file) {
+  return JSON.parse(await fs.readFile(path.join(DATA_DIR, file), "utf8"));
+}
+
+/**
+ * Problems with the interface catalogues in locales/: keys that en.json (the
+ * fallback) doesn't have, and messages that drop or rename a {placeholder}.
+ */
+export async function checkLocales() {
+  const read = async (f) => JSON.parse(await fs.readFile(path.join(LOCALES_DIR, f), "utf8"));
+  const en = await read("en.json");
+  const vars = (m) => [...new Set(JSON.stringify(m).match(/\{\w+\}/g) || [])].sort().join(",");
+  const problems = [];
+  for (const file of (await fs.readdir(LOCALES_DIR)).filter((f) => f.endsWith(".json") && f !== "en.json")) {
+    for (const [key, msg] of Object.entries(await read(file))) {
+      if (!(key in en)) problems.push(`${file}: "${key}" is not in en.json`);
+      else if (vars(msg) !== vars(en[key])) problems.push(`${file}: "${key}" uses ${vars(msg) || "no placeholders"}, en.json ${vars(en[key]) || "none"}`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Apps in a dataset whose stored score claims the current SCORING_VERSION but
+ * isn't what scoring.js gives for their label: the engine changed without a
+ * version bump, or the record was edited by hand. Older versions are fine
+ * (the site recomputes those).
+ */
+export function checkScores(data) {
+  const problems = [];
+  (data.apps || []).forEach((app, i) => {
+    if (app.scoring_version !== SCORING_VERSION) return;
+    const expected = storedScore(app);
+    const stored = { score: app.score, band: app.band, score_parts: app.score_parts, scoring_version: app.scoring_version };
+    if (JSON.stringify(stored) === JSON.stringify(expected)) return;
+    problems.push(`apps[${i}] "${app.name}" (${app.app_id}) stores ${app.score} (${app.band}), scoring.js gives ${expected ? `${expected.score} (${expected.band})` : "no score"}: bump SCORING_VERSION or run npm run data:scores`);
+  });
+  return problems;
+}
+
+/** Chart entries in a dataset that point at an app the dataset doesn't have */
+export function checkCharts(data) {
+  const ids = new Set((data.apps || []).map((a) => a.app_id));
+  const problems = [];
+  for (const [key, chart] of Object.entries(data.charts || {})) {
+    for (const e of chart.apps || []) {
+      if (!ids.has(e.app_id)) problems.push(`charts.${key} #${e.rank}: app ${e.app_id} is not in apps`);
+    }
+  }
+  return problems;
+}
+
+/** Letter templates in a rights file whose `right` is not the id of one of its items */
+export function checkLetters(data) {
+  const ids = new Set((data.items || []).map((r) => r.id));
+  const problems = [];
+  if (ids.size !== (data.items || []).length) problems.push("items: ids are not unique");
+  for (const tpl of data.letters?.templates || []) {
+    if (!ids.has(tpl.right)) problems.push(`letters.templates "${tpl.id}": right "${tpl.right}" is not an item id`);
+  }
+  return problems;
+}
+
+/**
+ * Problems beyond the schema for a schema-valid file of `kind`: datasets also
+ * have to agree with scoring.js and with themselves, and letters with their
+ * rights. The updater runs the same checks before it writes, so it never
+ * publishes what this script rejects.
+ */
+export function checkConsistency(kind, data) {
+  if (kind === "apps") return [...checkScores(data), ...checkCharts(data)];
+  if (kind === "rights") return checkLetters(data);
+  return [];
+}
+
+async function main() {
+  let failed = 0;
+  for (const { file, kind, required } of await dataFiles()) {
+    let data;
+    try {
+      data = await readData(file);
+    } catch (e) {
+      if (e.code === "ENOENT" && !required) {
+        console.log(`- ${file}: not generated yet`);
+        continue;
+      }
+      console.log(`✗ ${file}: ${e.message}`);
+      failed++;
+      continue;
+    }
+    const { ok, errors } = await validateData(kind, data);
+    const problems = ok ? checkConsistency(kind, data) : [];
+    if (problems.length) {
+      failed++;
+      console.log(`✗ ${file}: ${problems.length} problem(s)`);
+      for (const line of problems) console.log(`  ✗ ${line}`);
+    } else if (ok) {
+      console.log(`✓ ${file}`);
+    } else {
+      failed++;
+      console.log(`✗ ${file}: ${errors.length} violation(s)`);
+      for (const line of formatErrors(errors, data)) console.log(line);
+    }
+  }
+  // Written by the updater; `npm run data:manifest -- --check` tells whether it is current
+  try {
+    const manifest = await readData("manifest.json");
+    const { ok, errors } = await validateData("manifest", manifest);
+    if (ok) {
+      console.log("✓ manifest.json");
+    } else {
+      failed++;
+      console.log(`✗ manifest.json: ${errors.length} violation(s)`);
+      for (const line of formatErrors(errors, manifest)) console.log(line);
+    }
+  } catch (e) {
+    if (e.code === "ENOENT") {
+      console.log("- manifest.json: not generated yet");
+    } else {
+      console.log(`✗ manifest.json: ${e.message}`);
+      failed++;
+    }
+  }
+
+  const localeProblems = await checkLocales();
+  if (localeProblems.length) {
+    failed++;
+    console.log(`✗ locales: ${localeProblems.length} problem(s)`);
+    for (const line of localeProblems) console.log(`  ✗ ${line}`);
+  } else {
+    console.log("✓ locales");
+  }
+  if (failed) process.exit(1);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,148 @@
+/* FiosFón service worker: the site shell and reference data are precached so
+   the site opens offline; data files requested by hash (data/<file>?v=<hash>,
+   see data/manifest.json) are cached for good, the manifest itself always comes
+   from the network when it can, and Apple's charts are served from cache and
+   refreshed in the background (stale-while-revalidate); app icons are kept.
+   Bump VERSION when the shell list changes. */
+const VERSION = 'v2';
+const SHELL_CACHE = `ff-shell-${VERSION}`;
+const DATA_CACHE = 'ff-data';     // script.js clears caches starting with "ff-data" on "Refresh data"
+const ICON_CACHE = 'ff-icons';
+const ICON_LIMIT = 400;           // oldest icons are dropped past this
+
+const SHELL = [
+  './',
+  'index.html',
+  'methodology.html',
+  'styles.css',
+  'script.js',
+  'taxonomy.js',
+  'scoring.js',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'locales/en.json',
+  'locales/ga.json',
+  'data/countries.json',
+  'data/glossary.json',
+  'data/rights_ie.json'
+];
+const shellUrls = new Set(SHELL.map(p => new URL(p, self.registration.scope).href));
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(k => k.startsWith('ff-shell-') && k !== SHELL_CACHE)
+        .map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Cached copy now (if any), fresh copy into the cache for next time
+async function staleWhileRevalidate(event, cacheName){
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request, { ignoreSearch: true });
+  const fresh = fetch(event.request)
+    .then(res => {
+      if (res.ok) return cache.put(event.request, res.clone()).then(() => res);
+      return res;
+    });
+  if (cached) {
+    event.waitUntil(fresh.catch(() => {})); // offline: keep what we have
+    return cached;
+  }
+  return fresh;
+}
+
+// Pages and the data manifest: the network when we can get it, else the last copy
+async function networkFirst(request, cacheName, fallback){
+  try {
+    const res = await fetch(request);
+    if (res.ok) {
+      const cache = await caches.open(cacheName);
+      cache.put(request, res.clone());
+    }
+    return res;
+  } catch (err) {
+    const cached = await caches.match(request, { ignoreSearch: true })
+                || (fallback && await caches.match(new URL(fallback, self.registration.scope).href));
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// A hashed data URL never changes; once stored, older versions of that file go
+async function cachedVersion(request){
+  const cache = await caches.open(DATA_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  let res;
+  try {
+    res = await fetch(request);
+  } catch (err) {
+    // Offline before this version was seen: any copy of the file beats none
+    const older = await caches.match(request, { ignoreSearch: true });
+    if (older) return older;
+    throw err;
+  }
+  if (res.ok) {
+    const path = new URL(request.url).pathname;
+    for (const key of await cache.keys()) {
+      if (new URL(key.url).pathname === path) await cache.delete(key);
+    }
+    await cache.put(request, res.clone());
+  }
+  return res;
+}
+
+async function cachedIcon(event){
+  const { request } = event;
+  const cache = await caches.open(ICON_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const res = await fetch(request);
+  // Cross-origin artwork comes back opaque (status 0); still worth keeping. Opaque
+  // responses count heavily against the quota, so a failed put just skips caching
+  if (res.ok || res.type === 'opaque') {
+    event.waitUntil(cache.put(request, res.clone())
+      .then(() => cache.keys())
+      .then(keys => Promise.all(keys.slice(0, Math.max(0, keys.length - ICON_LIMIT)).map(k => cache.delete(k))))
+      .catch(() => {}));
+  }
+  return res;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+  const dataFile = sameOrigin && /\/data\/[^/]+\.json$/.test(url.pathname);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, 'index.html'));
+  } else if (dataFile && url.pathname.endsWith('/data/manifest.json')) {
+    event.respondWith(networkFirst(request, DATA_CACHE));
+  } else if (dataFile && url.searchParams.has('v')) {
+    event.respondWith(cachedVersion(request));
+  } else if (sameOrigin && shellUrls.has(url.origin + url.pathname)) {
+    event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+  } else if (dataFile) {
+    event.respondWith(staleWhileRevalidate(event, DATA_CACHE));
+  } else if (url.hostname === 'itunes.apple.com' && url.pathname.includes('/rss/')) {
+    event.respondWith(staleWhileRevalidate(event, DATA_CACHE));
+  } else if (request.destination === 'image' && !sameOrigin) {
+    event.respondWith(cachedIcon(event));
+  }
+  // Everything else (live search, lookups) goes straight to the network
+});
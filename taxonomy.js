@@ -0,0 +1,150 @@
+// The one vocabulary for Apple's privacy labels: sections, data categories and
+// purposes. Imported by the scraper and updater (Node) and by script.js in the
+// browser, so what we store and what the site reads can't drift apart.
+// apps.json only ever holds the canonical names below; older records are
+// brought in line with migratePrivacy().
+
+/** Apple's label cards, in page order, mapped to our per-category flags */
+export const LABEL_SECTIONS = {
+  "Data Used to Track You": "tracked",
+  "Data Linked to You": "linked",
+  "Data Not Linked to You": "notLinked"
+};
+export const NOT_COLLECTED = "Data Not Collected";
+
+/** Apple's data categories (anything else on a card is a subtype) */
+export const CATEGORIES = [
+  "Contact Info", "Health & Fitness", "Financial Info", "Location", "Sensitive Info",
+  "Contacts", "User Content", "Browsing History", "Search History", "Identifiers",
+  "Purchases", "Usage Data", "Diagnostics", "Other Data"
+];
+
+/**
+ * Apple's data types → their category. Older scrapes stored some of these
+ * (and a few near-misses) as if they were categories.
+ */
+export const SUBTYPE_CATEGORY = {
+  "Name": "Contact Info", "Email Address": "Contact Info", "Phone Number": "Contact Info",
+  "Physical Address": "Contact Info", "Other User Contact Info": "Contact Info",
+  "Health": "Health & Fitness", "Fitness": "Health & Fitness",
+  "Payment Info": "Financial Info", "Credit Info": "Financial Info", "Other Financial Info": "Financial Info",
+  "Precise Location": "Location", "Coarse Location": "Location",
+  "Emails or Text Messages": "User Content", "Messages": "User Content", "Photos or Videos": "User Content",
+  "Audio Data": "User Content", "Gameplay Content": "User Content", "Customer Support": "User Content",
+  "Other User Content": "User Content",
+  "Browsing/Search History": "Browsing History",
+  "User ID": "Identifiers", "Device ID": "Identifiers",
+  "Purchase History": "Purchases",
+  "Product Interaction": "Usage Data", "Advertising Data": "Usage Data", "Other Usage Data": "Usage Data",
+  "Crash Data": "Diagnostics", "Performance Data": "Diagnostics", "Other Diagnostic Data": "Diagnostics",
+  "Other Data Types": "Other Data", "Education": "Other Data"
+};
+
+/** Apple's purpose headings, in Apple's order */
+export const PURPOSES = [
+  "Third-Party Advertising",
+  "Developer's Advertising or Marketing",
+  "Analytics",
+  "Product Personalization",
+  "App Functionality",
+  "Other Purposes"
+];
+
+/** How the site names each purpose */
+export const PURPOSE_LABELS = {
+  "Third-Party Advertising": "Third-party advertising",
+  "Developer's Advertising or Marketing": "Developer’s advertising or marketing",
+  "Analytics": "Analytics",
+  "Product Personalization": "Product personalisation",
+  "App Functionality": "App functionality",
+  "Other Purposes": "Other purposes"
+};
+
+/** Short names older scrapes stored, and other spellings, → Apple's purpose */
+export const PURPOSE_ALIASES = {
+  "Advertising": "Third-Party Advertising",
+  "Third Party Advertising": "Third-Party Advertising",
+  "Developer’s Advertising or Marketing": "Developer's Advertising or Marketing",
+  "Developer's Advertising": "Developer's Advertising or Marketing",
+  "Personalization": "Product Personalization",
+  "Personalisation": "Product Personalization",
+  "Product Personalisation": "Product Personalization",
+  // Apple lists fraud prevention and security under App Functionality
+  "Fraud Prevention": "App Functionality",
+  "Fraud Prevention, Security, and Compliance": "App Functionality",
+  "Other": "Other Purposes"
+};
+
+/** Apple's category for a category or data type name, or null if unknown */
+export function canonicalCategory(name) {
+  if (CATEGORIES.includes(name)) return name;
+  return SUBTYPE_CATEGORY[name] || null;
+}
+
+/** Apple's purpose for a purpose name in any known spelling, or null */
+export function canonicalPurpose(name) {
+  if (PURPOSES.includes(name)) return name;
+  return PURPOSE_ALIASES[name] || null;
+}
+
+const inOrder = (list, values) => list.filter((x) => values.has(x));
+
+/**
+ * A copy of `record` (an apps.json entry, a privacy_cache entry or a history
+ * snapshot) using only canonical names: data types stored as categories are
+ * folded into their category (and kept as subtypes), purposes are renamed,
+ * and lists follow Apple's order. Records that are already canonical come
+ * back unchanged, so this is safe to run any number of times.
+ */
+export function migratePrivacy(record) {
+  if (!record || typeof record !== "object") return record;
+  const out = { ...record };
+
+  if (record.privacy_labels) {
+    out.privacy_labels = {};
+    for (const [title, cats] of Object.entries(record.privacy_labels)) {
+      out.privacy_labels[title] = inOrder(CATEGORIES, new Set((cats || []).map(canonicalCategory)));
+    }
+  }
+
+  if (record.privacy_details) {
+    const details = {};
+    for (const [name, d] of Object.entries(record.privacy_details)) {
+      const category = canonicalCategory(name);
+      if (!category || !d) continue;
+      const into = (details[category] ||= {
+        tracked: false, linked: false, notLinked: false, subtypes: [], purposes: [], sections: {}
+      });
+      for (const flag of Object.values(LABEL_SECTIONS)) into[flag] ||= !!d[flag];
+      const subtypes = [...(d.subtypes || []), ...(name !== category ? [name] : [])];
+      into.subtypes = [...new Set([...into.subtypes, ...subtypes])];
+      into.purposes = [...into.purposes, ...(d.purposes || [])];
+      for (const [flag, s] of Object.entries(d.sections || {})) {
+        const to = (into.sections[flag] ||= { subtypes: [], purposes: [] });
+        to.subtypes = [...new Set([...to.subtypes, ...(s.subtypes || []), ...(name !== category ? [name] : [])])];
+        to.purposes = [...to.purposes, ...(s.purposes || [])];
+      }
+    }
+    for (const d of Object.values(details)) {
+      d.purposes = inOrder(PURPOSES, new Set(d.purposes.map(canonicalPurpose)));
+      for (const s of Object.values(d.sections)) s.purposes = inOrder(PURPOSES, new Set(s.purposes.map(canonicalPurpose)));
+      if (!Object.keys(d.sections).length) delete d.sections;
+    }
+    out.privacy_details = details;
+  }
+
+  // History snapshots keep only { <category>: [purposes] }
+  if (record.purposes && !Array.isArray(record.purposes)) {
+    const purposes = {};
+    for (const [name, list] of Object.entries(record.purposes)) {
+      const category = canonicalCategory(name);
+      if (category) purposes[category] = [...(purposes[category] || []), ...(list || [])];
+    }
+    for (const [category, list] of Object.entries(purposes)) {
+      purposes[category] = inOrder(PURPOSES, new Set(list.map(canonicalPurpose)));
+      if (!purposes[category].length) delete purposes[category];
+    }
+    out.purposes = purposes;
+  }
+  return out;
+}
@@ -0,0 +1,76 @@
+// The fetch path: parsePrivacyFromHtml() on server-rendered App Store pages
+// (test/fixtures/appstore/*.html without ".rendered").
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parsePrivacyFromHtml } from "../scripts/appstore-html.mjs";
+import { extractPrivacyFromPage, normalisePrivacy } from "../scripts/scrape-privacy.mjs";
+import { pageFromFile } from "./helpers/jsdom-page.mjs";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "appstore");
+const fixture = (name) => fs.readFile(path.join(FIXTURES, name), "utf8");
+
+test("reads the label from the shoebox JSON, by Apple's identifiers", async () => {
+  const raw = parsePrivacyFromHtml(await fixture("premier-league.html"));
+  assert.deepEqual(raw.summary, {
+    "Data Used to Track You": ["Contact Info", "Identifiers", "Usage Data"],
+    "Data Linked to You": ["Contact Info", "Identifiers", "Location", "Usage Data", "User Content", "Diagnostics"],
+    "Data Not Linked to You": ["Diagnostics", "Location"]
+  });
+  // PRODUCT_PERSONALIZATION, whatever the page's spelling of the heading
+  assert.deepEqual(raw.detail["Data Linked to You"].map((g) => g.purpose),
+    ["Third-Party Advertising", "Analytics", "Product Personalization", "App Functionality"]);
+  assert.deepEqual(raw.detail["Data Used to Track You"][0].categories[0], { category: "Contact Info", subtypes: ["Email Address"] });
+  assert.equal(raw.privacyPolicyUrl, "https://www.premierleague.com/privacy-policy");
+  assert.equal(raw.developerWebsiteUrl, "https://www.premierleague.com/");
+});
+
+test("the fetch parser and the browser extractor store the same label", async () => {
+  const viaFetch = normalisePrivacy(parsePrivacyFromHtml(await fixture("premier-league.html")));
+  const page = await pageFromFile(path.join(FIXTURES, "premier-league.rendered.html"));
+  try {
+    const viaBrowser = normalisePrivacy(await extractPrivacyFromPage(page));
+    assert.deepEqual(viaFetch, viaBrowser);
+  } finally {
+    page.close();
+  }
+});
+
+test("null when the page has no embedded label, so the browser is used", async () => {
+  assert.equal(parsePrivacyFromHtml(await fixture("no-label-data.html")), null);
+  assert.equal(parsePrivacyFromHtml(await fixture("premier-league.rendered.html")), null);
+  assert.equal(parsePrivacyFromHtml(""), null);
+});
+
+test("Data Not Collected and broken script blocks", () => {
+  const html = `
+    <script type="fastboot/shoebox">{ not json</script>
+    <script type="application/json">${JSON.stringify({
+      privacy: { privacyTypes: [{ identifier: "DATA_NOT_COLLECTED", privacyType: "Data Not Collected", dataCategories: [], purposes: [] }] }
+    })}</script>`;
+  const out = normalisePrivacy(parsePrivacyFromHtml(html));
+  assert.equal(out.data_not_collected, true);
+  assert.deepEqual(out.privacy_details, {});
+});
+
+test("every saved served page uses only identifiers the parser knows", async () => {
+  const pages = (await fs.readdir(FIXTURES)).filter((f) => f.endsWith(".html") && !f.endsWith(".rendered.html"));
+  for (const name of pages) {
+    const raw = parsePrivacyFromHtml(await fixture(name));
+    if (raw) assert.deepEqual(raw.unknownIdentifiers, [], name);
+  }
+});
+
+test("an identifier Apple adds is reported, and its text stands in", () => {
+  const html = `<script type="application/json">${JSON.stringify({
+    privacyTypes: [{
+      identifier: "DATA_LINKED_TO_YOU",
+      purposes: [{ identifier: "FRAUD_PREVENTION", purpose: "Fraud Prevention", dataCategories: [{ identifier: "SENSOR_DATA", dataCategory: "Sensor Data", dataTypes: [] }] }]
+    }]
+  })}</script>`;
+  const raw = parsePrivacyFromHtml(html);
+  assert.deepEqual(raw.unknownIdentifiers, ["purpose:FRAUD_PREVENTION", "category:SENSOR_DATA"]);
+  assert.deepEqual(raw.detail["Data Linked to You"], [{ purpose: "Fraud Prevention", categories: [{ category: "Sensor Data", subtypes: [] }] }]);
+});
@@ -0,0 +1,42 @@
+// Which cached labels the updater re-scrapes each run (planRefresh in
+// scripts/cache-policy.mjs).
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { planRefresh, cacheAgeDays } from "../scripts/cache-policy.mjs";
+
+const NOW = Date.parse("2026-08-22T06:00:00Z");
+const daysAgo = (n) => ({ as_of: new Date(NOW - n * 24 * 60 * 60 * 1000).toISOString() });
+
+const entries = [
+  { appId: "1", cached: daysAgo(1) },
+  { appId: "2", cached: daysAgo(9) },
+  { appId: "3", cached: null },
+  { appId: "4", cached: daysAgo(30) },
+  { appId: "5", cached: daysAgo(12) },
+  { appId: "6", cached: { fetched_at: "not a date" } }
+];
+
+test("missing and stale entries refresh, oldest first; fresh ones use their cache", () => {
+  const plan = planRefresh(entries, { now: NOW });
+  assert.deepEqual([...plan], [["3", "missing"], ["6", "stale"], ["4", "stale"], ["5", "stale"], ["2", "stale"]]);
+  assert.equal(cacheAgeDays(entries[5].cached, NOW), Infinity);
+});
+
+test("maxRefresh caps the stale refreshes, never the missing ones", () => {
+  assert.deepEqual([...planRefresh(entries, { now: NOW, maxRefresh: 2 })], [["3", "missing"], ["6", "stale"], ["4", "stale"]]);
+  assert.deepEqual([...planRefresh(entries, { now: NOW, maxRefresh: 0 })], [["3", "missing"]]);
+  assert.deepEqual([...planRefresh(entries, { now: NOW, maxAgeDays: 10, maxRefresh: -1 })], [["3", "missing"]]);
+});
+
+test("forced ids refresh whatever their age and outside the cap", () => {
+  const plan = planRefresh(entries, { now: NOW, force: [1], maxRefresh: 1 });
+  assert.deepEqual([...plan], [["1", "forced"], ["3", "missing"], ["6", "stale"]]);
+
+  const all = planRefresh(entries, { now: NOW, forceAll: true, maxRefresh: 0 });
+  assert.deepEqual([...all.values()], ["forced", "forced", "missing", "forced", "forced", "forced"]);
+});
+
+test("an app listed twice is planned once", () => {
+  const plan = planRefresh([{ appId: "3", cached: null }, { appId: "3", cached: daysAgo(1) }, { appId: "", cached: null }], { now: NOW });
+  assert.deepEqual([...plan], [["3", "missing"]]);
+});
@@ -0,0 +1,38 @@
+// data/manifest.json's entries (buildManifest in scripts/data-manifest.mjs):
+// the hash the site puts in each data URL has to change with the file's bytes.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { buildManifest, MANIFEST_JSON } from "../scripts/data-manifest.mjs";
+import { dataFiles } from "../scripts/validate-data.mjs";
+
+const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "data");
+const manifest = await buildManifest(new Date("2026-08-22T06:00:00Z"));
+
+test("each file is listed by a short sha256 of its bytes, with its size, date and schema", async () => {
+  assert.equal(manifest.generated, "2026-08-22T06:00:00.000Z");
+  for (const [file, entry] of Object.entries(manifest.files)) {
+    const buf = await fs.readFile(path.join(DATA_DIR, file));
+    assert.equal(entry.hash, crypto.createHash("sha256").update(buf).digest("hex").slice(0, 16), file);
+    assert.match(entry.hash, /^[0-9a-f]{16}$/);
+    assert.equal(entry.size, buf.length, file);
+  }
+  assert.equal(manifest.files["apps.json"].as_of, JSON.parse(await fs.readFile(path.join(DATA_DIR, "apps.json"), "utf8")).as_of);
+  assert.deepEqual([manifest.files["rights_ie.json"].schema, manifest.files["rights_ie.json"].schema_version], ["rights", 2]);
+
+  // Same-shaped files with different content never share a URL
+  const rights = ["rights_ie.json", "rights_gb.json", "rights_eu.json"].map((f) => manifest.files[f].hash);
+  assert.equal(new Set(rights).size, 3);
+});
+
+test("files not generated yet are left out, and the committed manifest is current", async () => {
+  const exists = (file) => fs.access(path.join(DATA_DIR, file)).then(() => true, () => false);
+  for (const { file } of await dataFiles()) {
+    assert.equal(file in manifest.files, await exists(file), file);
+  }
+  const committed = JSON.parse(await fs.readFile(MANIFEST_JSON, "utf8"));
+  assert.deepEqual(committed.files, manifest.files);
+});
@@ -0,0 +1,23 @@
+// Just enough of a Puppeteer page for the in-page extractors, backed by jsdom,
+// so saved pages can be read without a browser. evaluate() serialises its
+// arguments and result as JSON, like Puppeteer does.
+import fs from "fs/promises";
+import { JSDOM } from "jsdom";
+
+export async function pageFromFile(file, url = "https://apps.apple.com/ie/app/id0") {
+  const dom = new JSDOM(await fs.readFile(file, "utf8"), { url, runScripts: "outside-only" });
+  const { window } = dom;
+  return {
+    window,
+    async evaluate(fn, ...args) {
+      const json = window.eval(`JSON.stringify((${fn})(...${JSON.stringify(args)}))`);
+      return json === undefined ? undefined : JSON.parse(json);
+    },
+    async waitForSelector(selector) {
+      const el = window.document.querySelector(selector);
+      if (!el) throw new Error(`Waiting for selector \`${selector}\` failed`);
+      return el;
+    },
+    close() { window.close(); }
+  };
+}
@@ -0,0 +1,89 @@
+// The site's pages in jsdom, running script.js as the browser would, for tests
+// of the client code. fetch() serves the repo's own files (or `files`
+// overrides, by path) and nothing else, so Apple's feeds fail and the boards
+// come from the dataset's stored charts, as they do offline.
+import fs from "fs/promises";
+import path from "path";
+import vm from "vm";
+import { fileURLToPath } from "url";
+import { JSDOM, VirtualConsole } from "jsdom";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+const ORIGIN = "https://fiosfon.test/";
+
+// jsdom runs classic scripts only: inline the page module's relative imports
+// (once each) and drop the export keywords, which leaves one script whose
+// top-level names the tests can reach
+async function bundle(file, seen = new Set()) {
+  let code = await fs.readFile(path.join(ROOT, file), "utf8");
+  const imports = [...code.matchAll(/import\s*\{[^}]*\}\s*from\s*['"]\.\/([^'"]+)['"];?/g)];
+  for (const [statement, dep] of imports) {
+    const inlined = seen.has(dep) ? "" : (seen.add(dep), (await bundle(dep, seen)).replace(/^export\s+/gm, ""));
+    code = code.replace(statement, () => inlined);
+  }
+  return code;
+}
+
+async function serve(url, files) {
+  const u = new URL(url, ORIGIN);
+  if (u.origin + "/" !== ORIGIN) throw new TypeError(`Offline: ${u.href}`);
+  const file = decodeURIComponent(u.pathname.slice(1));
+  if (Object.hasOwn(files, file)) return Response.json(files[file]);
+  try {
+    const body = await fs.readFile(path.join(ROOT, file));
+    return new Response(body, { headers: { "content-type": file.endsWith(".json") ? "application/json" : "text/plain" } });
+  } catch {
+    return new Response("", { status: 404 });
+  }
+}
+
+/**
+ * Load `page` with its scripts and wait for `ready()` (evaluated in the page)
+ * to be true. `storage` entries are put in localStorage before the scripts run. run(code) evaluates in the page's global scope, so tests can
+ * call script.js functions directly. `errors` collects console.error output.
+ */
+export async function loadSite({ page = "index.html", query = "", files = {}, storage = {}, ready = "document.querySelector('#list-free .app-card')" } = {}) {
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on("error", (...args) => errors.push(args.join(" ")));
+  virtualConsole.on("jsdomError", (e) => errors.push(e.message));
+  const dom = new JSDOM(await fs.readFile(path.join(ROOT, page), "utf8"), {
+    url: ORIGIN + page + query,
+    runScripts: "outside-only",
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+  const { window } = dom;
+  window.fetch = (url) => serve(String(url), files);
+  window.matchMedia ||= () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+  window.Element.prototype.scrollIntoView ||= function () {};
+  for (const [key, value] of Object.entries(storage)) window.localStorage.setItem(key, value);
+
+  const context = dom.getInternalVMContext();
+  const run = (code) => new vm.Script(code).runInContext(context);
+  for (const el of window.document.querySelectorAll("script[src]")) {
+    const src = el.getAttribute("src");
+    const code = el.getAttribute("type") === "module" ? await bundle(src) : await fs.readFile(path.join(ROOT, src), "utf8");
+    new vm.Script(code, { filename: src }).runInContext(context);
+  }
+  window.document.dispatchEvent(new window.Event("DOMContentLoaded", { bubbles: true }));
+
+  for (const start = Date.now(); !run(ready); ) {
+    if (Date.now() - start > 10000) throw new Error(`${page} not ready after 10s: ${errors.join("; ")}`);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  return { window, document: window.document, run, errors, close: () => window.close() };
+}
+
+/** Anything in `root` that could run script: inline handlers, script elements, non-http(s) links */
+export function activeContent(root) {
+  const found = [];
+  for (const el of root.querySelectorAll("*")) {
+    if (["SCRIPT", "IFRAME", "OBJECT", "EMBED"].includes(el.tagName)) found.push(`<${el.tagName.toLowerCase()}>`);
+    for (const { name, value } of el.attributes) {
+      if (/^on/i.test(name)) found.push(`${el.tagName.toLowerCase()}[${name}]`);
+      if (["href", "src", "action", "formaction"].includes(name) && /^\s*(javascript|data|vbscript):/i.test(value)) found.push(`${name}=${value}`);
+    }
+  }
+  return found;
+}
@@ -0,0 +1,112 @@
+// The site in Irish: the drawer, the comparison matrix, the label history and
+// the methodology page take their text, category, purpose and band names from
+// locales/ga.json and show dates in the reader's language.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadSite } from "./helpers/site.mjs";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const ga = JSON.parse(await fs.readFile(path.join(ROOT, "locales", "ga.json"), "utf8"));
+const dataset = JSON.parse(await fs.readFile(path.join(ROOT, "data", "apps.json"), "utf8"));
+const byId = (id) => structuredClone(dataset.apps.find((a) => String(a.app_id) === id));
+const gaDate = (iso) => new Date(`${iso}T12:00:00`).toLocaleDateString("ga-IE", { day: "numeric", month: "long", year: "numeric" });
+
+const PREMIER_LEAGUE = "1138895159";
+const LEAP_CARD = "1415550737";
+
+let site;
+before(async () => {
+  site = await loadSite();
+  await site.run("setLanguage('ga')");
+});
+after(() => site?.close());
+
+const inPage = (value) => `JSON.parse(${JSON.stringify(JSON.stringify(value))})`;
+const textOf = (markup) => {
+  const el = site.document.createElement("div");
+  el.innerHTML = markup;
+  return el.textContent.replace(/\s+/g, " ");
+};
+
+test("the drawer's facts, policy panel and score explanation are in Irish", () => {
+  const app = {
+    ...byId(PREMIER_LEAGUE),
+    metadata: { as_of: "2026-10-01", genre: "Sports", rating: 4.5, rating_count: 1234, version: "2.0", updated_on: "2026-09-15" },
+    privacy_policy: {
+      word_count: 800,
+      third_parties: [{ name: "AppsFlyer", kind: "attribution" }],
+      retention: [],
+      transfers: [],
+      mentions_dpc: true,
+      fetched_on: "2026-10-02"
+    }
+  };
+  site.run(`openAppDrawer(${inPage(app)})`);
+  const text = site.document.getElementById("glossary-drawer").textContent.replace(/\s+/g, " ");
+  site.run("closeDrawer()");
+
+  for (const key of ["facts.genre", "facts.rating", "policy.thirdParties", "policy.kind.attribution", "policy.noRetention", "policy.dpcMentioned", "why.title"]) {
+    assert.ok(text.includes(ga[key]), key);
+  }
+  assert.ok(text.includes(`${ga["category.Identifiers"]}`));
+  assert.ok(text.includes(ga["facts.source"].replace("{date}", gaDate("2026-10-01"))));
+  assert.ok(text.includes(ga["facts.versionUpdated"].replace("{version}", "2.0").replace("{date}", gaDate("2026-09-15"))));
+  assert.ok(text.includes(gaDate("2026-10-02")));
+  assert.ok(!text.includes("2026-10-01") && !text.includes("Third parties named"));
+});
+
+test("the comparison matrix uses Irish category, band and row names", () => {
+  const markup = site.run(`String(compareMatrixHTML([${inPage(byId(PREMIER_LEAGUE))}, ${inPage(byId(LEAP_CARD))}]))`);
+  const text = textOf(markup);
+  for (const key of ["compare.category", "band.Medium", "band.Low", "category.Diagnostics", "category.Usage Data", "status.tracked"]) {
+    assert.ok(text.includes(ga[key]), key);
+  }
+  assert.ok(markup.includes(`aria-label="${ga["compare.notCollected"]}"`));
+  assert.ok(!/\b(Medium|Usage Data|Not collected)\b/.test(text), text);
+});
+
+test("label history events and their dates are in Irish", () => {
+  site.run(`state.changelog[${JSON.stringify(PREMIER_LEAGUE)}] = ${inPage({
+    events: [{
+      date: "2026-09-01",
+      changes: [
+        { type: "category_added", section: "tracked", category: "Location" },
+        { type: "purposes_changed", category: "Identifiers", added: ["Analytics"], removed: [] },
+        { type: "policy_text_changed" }
+      ]
+    }]
+  })}`);
+  const text = textOf(site.run(`String(historyTimelineHTML({ app_id: ${JSON.stringify(PREMIER_LEAGUE)} }))`));
+  assert.ok(text.includes(gaDate("2026-09-01")));
+  assert.ok(text.includes(ga["change.tracked.added"].replace("{category}", ga["category.Location"])));
+  assert.ok(text.includes(`${ga["category.Identifiers"]}: ${ga["change.purposesAdded"].replace("{purposes}", ga["purpose.Analytics"])}`));
+  assert.ok(text.includes(ga["change.policyText"]));
+  assert.equal(textOf(site.run("String(historyTimelineHTML({ app_id: 'none' }))")).trim(), ga["history.none"]);
+});
+
+test("the page switched language without errors", () => {
+  assert.deepEqual(site.errors, []);
+});
+
+test("the methodology page follows the saved language", async () => {
+  const page = await loadSite({ page: "methodology.html", storage: { "ff-lang": "ga" }, ready: "document.querySelector('#methodology-body table')" });
+  try {
+    const { document } = page;
+    assert.equal(document.documentElement.lang, "ga");
+    assert.equal(document.title, ga["methodology.pageTitle"]);
+    assert.equal(document.querySelector("#methodology h3").textContent, ga["methodology.title"]);
+    const headings = [...document.querySelectorAll("#methodology-body h4")].map((h) => h.textContent);
+    assert.deepEqual(headings, [ga["methodology.weights"], ga["methodology.caps"], ga["methodology.curve"]]);
+    const text = document.getElementById("methodology-body").textContent.replace(/\s+/g, " ");
+    for (const key of ["section.track", "category.Identifiers", "purpose.Analytics", "methodology.aliases", "band.High", "profile.balanced.about"]) {
+      assert.ok(text.includes(ga[key]), key);
+    }
+    assert.ok(!/Points per data category|Part of the label|Raw total/.test(text), text);
+    assert.deepEqual(page.errors, []);
+  } finally {
+    page.close();
+  }
+});
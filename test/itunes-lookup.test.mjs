@@ -0,0 +1,81 @@
+// lookupApps() and metadataFromLookup() against a saved iTunes Lookup
+// response (test/fixtures/itunes/lookup-ie.json), with fetch stubbed.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { lookupApps, metadataFromLookup } from "../scripts/itunes-lookup.mjs";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "itunes");
+const lookup = JSON.parse(await fs.readFile(path.join(FIXTURES, "lookup-ie.json"), "utf8"));
+
+/** A fetch that answers from the fixture with just the ids asked for, and logs each URL */
+function stubLookup(t, { failIds = [] } = {}) {
+  const urls = [];
+  t.mock.method(globalThis, "fetch", async (url) => {
+    urls.push(url);
+    const ids = new URL(url).searchParams.get("id").split(",");
+    if (ids.some((id) => failIds.includes(id))) return new Response("", { status: 503 });
+    const results = lookup.results.filter((r) => ids.includes(String(r.trackId)));
+    return Response.json({ resultCount: results.length, results });
+  });
+  return urls;
+}
+
+test("metadataFromLookup keeps the fields apps.json publishes", () => {
+  assert.deepEqual(metadataFromLookup(lookup.results[0], "2026-10-01"), {
+    as_of: "2026-10-01",
+    bundle_id: "com.premierleague.PremierLeague",
+    genre: "Sports",
+    price: 0,
+    currency: "EUR",
+    formatted_price: "Free",
+    age_rating: "4+",
+    rating: 4.7,
+    rating_count: 15873,
+    updated_on: "2026-09-30",
+    version: "4.41.0",
+    seller_url: "https://www.premierleague.com/",
+    minimum_os: "16.0"
+  });
+});
+
+test("metadataFromLookup drops what it can't trust rather than guessing", () => {
+  const meta = metadataFromLookup(lookup.results[1], "2026-10-01");
+  assert.equal(meta.seller_url, null);
+  assert.equal(meta.updated_on, null);
+  assert.equal(meta.rating, null);
+  assert.equal(meta.rating_count, 0);
+  assert.equal(meta.age_rating, "4+");
+  assert.equal(metadataFromLookup({}).genre, null);
+  assert.match(metadataFromLookup({}).as_of, /^\d{4}-\d{2}-\d{2}$/);
+});
+
+test("lookupApps batches unique ids and keeps only iOS software", async (t) => {
+  const urls = stubLookup(t);
+  const { results, failed, error } = await lookupApps(
+    ["1138895159", 1415550737, "932493382", "1138895159", null, "999"],
+    { country: "gb", batchSize: 2 }
+  );
+  assert.deepEqual(urls, [
+    "https://itunes.apple.com/lookup?id=1138895159,1415550737&country=gb",
+    "https://itunes.apple.com/lookup?id=932493382,999&country=gb"
+  ]);
+  // The Mac app and the id Apple doesn't know are neither results nor failures
+  assert.deepEqual([...results.keys()], ["1138895159", "1415550737"]);
+  assert.equal(results.get("1415550737").trackName, "Leap Card");
+  assert.deepEqual(failed, []);
+  assert.equal(error, null);
+});
+
+test("a failed batch lists its ids as failed and the other batches still count", async (t) => {
+  const urls = stubLookup(t, { failIds: ["932493382"] });
+  const retry = (fn) => fn().catch(() => fn()); // one retry
+  const { results, failed, error } = await lookupApps(["1138895159", "932493382", "1415550737"], { batchSize: 1, retry });
+  assert.equal(urls.filter((u) => u.includes("932493382")).length, 2);
+  assert.deepEqual([...results.keys()], ["1138895159", "1415550737"]);
+  assert.deepEqual(failed, ["932493382"]);
+  assert.equal(error.status, 503);
+  assert.match(error.message, /Lookup ie HTTP 503/);
+});
@@ -0,0 +1,83 @@
+// Which label changes reach data/changelog.json (diffApp and appendChangelog
+// in scripts/label-diff.mjs).
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffApp, appendChangelog, snapshotRecord } from "../scripts/label-diff.mjs";
+
+// A full apps.json-shaped record; `over` replaces whole fields
+function app(over = {}) {
+  return {
+    app_id: "42",
+    name: "Example",
+    developer: "Example Ltd",
+    privacy_labels: {
+      "Data Used to Track You": ["Identifiers"],
+      "Data Linked to You": ["Contact Info", "Identifiers"],
+      "Data Not Linked to You": []
+    },
+    privacy_details: {
+      Identifiers: { tracked: true, linked: true, purposes: ["Third-Party Advertising", "Analytics"] },
+      "Contact Info": { linked: true, purposes: ["App Functionality"] }
+    },
+    privacy_policy_url: "https://example.com/privacy",
+    privacy_policy: { hash: "aaa" },
+    ...over
+  };
+}
+
+test("an unchanged label, or one with nothing to compare against, has no changes", () => {
+  assert.deepEqual(diffApp(app(), app()), []);
+  assert.deepEqual(diffApp(snapshotRecord(app()), app()), []);
+  assert.deepEqual(diffApp(undefined, app()), []);
+  assert.deepEqual(diffApp(app({ privacy_labels: undefined }), app()), []);
+});
+
+test("categories per section, purposes per category and the policy are compared", () => {
+  const next = app({
+    privacy_labels: {
+      "Data Used to Track You": ["Identifiers", "Location"],
+      "Data Linked to You": ["Identifiers"],
+      "Data Not Linked to You": []
+    },
+    privacy_details: {
+      Identifiers: { tracked: true, linked: true, purposes: ["Third-Party Advertising", "Product Personalization"] },
+      Location: { tracked: true, purposes: ["Third-Party Advertising"] }
+    },
+    privacy_policy_url: "https://example.com/privacy-notice",
+    privacy_policy: { hash: "bbb" }
+  });
+  assert.deepEqual(diffApp(app(), next), [
+    { type: "category_added", section: "tracked", category: "Location" },
+    { type: "category_removed", section: "linked", category: "Contact Info" },
+    { type: "purposes_changed", category: "Identifiers", added: ["Product Personalization"], removed: ["Analytics"] },
+    { type: "purposes_changed", category: "Contact Info", added: [], removed: ["App Functionality"] },
+    { type: "purposes_changed", category: "Location", added: ["Third-Party Advertising"], removed: [] },
+    { type: "policy_url_changed", from: "https://example.com/privacy", to: "https://example.com/privacy-notice" },
+    { type: "policy_text_changed", from: "aaa", to: "bbb" }
+  ]);
+});
+
+test("older names and missing policy hashes are not changes", () => {
+  const old = snapshotRecord(app({ privacy_policy: undefined }));
+  old.purposes.Identifiers = ["Advertising", "Analytics"];
+  assert.deepEqual(diffApp(old, app()), []);
+});
+
+test("the log gets one event per changed app per day, and a rerun replaces it", () => {
+  const prev = [app(), app({ app_id: "7", name: "Steady" })];
+  const moved = app({ name: "Example 2", privacy_policy: { hash: "bbb" } });
+  const next = [moved, app({ app_id: "7", name: "Steady" }), app({ app_id: "8", name: "New in the chart" })];
+  const earlier = { updated: "2026-08-01", apps: { "42": { name: "Example", events: [{ date: "2026-08-01", changes: [] }] } } };
+
+  const log = appendChangelog(earlier, prev, next, "2026-08-22");
+  assert.equal(log.updated, "2026-08-22");
+  assert.deepEqual(Object.keys(log.apps), ["42"]);
+  assert.equal(log.apps["42"].name, "Example 2");
+  assert.deepEqual(log.apps["42"].events.map((e) => e.date), ["2026-08-01", "2026-08-22"]);
+  assert.deepEqual(log.apps["42"].events[1].changes, [{ type: "policy_text_changed", from: "aaa", to: "bbb" }]);
+  assert.equal(earlier.apps["42"].events.length, 1);
+
+  const rerun = appendChangelog(log, prev, [app({ privacy_policy: { hash: "ccc" } })], "2026-08-22");
+  assert.deepEqual(rerun.apps["42"].events.map((e) => e.date), ["2026-08-01", "2026-08-22"]);
+  assert.equal(rerun.apps["42"].events[1].changes[0].to, "ccc");
+});
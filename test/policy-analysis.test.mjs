@@ -0,0 +1,86 @@
+// Policy text extraction and analysePolicy() against saved policy pages
+// (test/fixtures/policies/), plus the cache dating that --policy-max-age-days uses.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { policyText, hashText, analysePolicy, retrievePolicy } from "../scripts/policy-analysis.mjs";
+import { cacheAgeDays, planRefresh } from "../scripts/cache-policy.mjs";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "policies");
+const fixture = (name) => fs.readFile(path.join(FIXTURES, name), "utf8");
+
+test("policyText drops scripts, styles and markup, one block per line", async () => {
+  const text = policyText(await fixture("example-media.html"));
+  assert.doesNotMatch(text, /dataLayer|font-family|<|Privacy Policy \| Example Media/);
+  assert.match(text, /^Home News Privacy\nPrivacy Policy\nLast updated: 1 March 2026\n/);
+  assert.match(text, /European Commission’s Standard Contractual Clauses/);
+  assert.match(text, /© 2026 Example Media Limited & partners\./);
+  assert.ok(text.split("\n").includes("Email: dpo@examplemedia.ie."));
+});
+
+test("hashText ignores reflowed whitespace but not wording", () => {
+  const a = hashText("We retain your data\nfor 24 months.");
+  assert.equal(a, hashText("  We retain  your data for 24 months. "));
+  assert.notEqual(a, hashText("We retain your data for 36 months."));
+  assert.match(a, /^[0-9a-f]{64}$/);
+});
+
+test("analysePolicy finds the signals a policy page spells out", async () => {
+  const signals = analysePolicy(policyText(await fixture("example-media.html")));
+
+  assert.deepEqual(signals.third_parties, [
+    { name: "Google Analytics", kind: "analytics" },
+    { name: "Firebase", kind: "analytics" },
+    { name: "Crashlytics", kind: "diagnostics" },
+    { name: "Google AdMob", kind: "advertising" },
+    { name: "AppsFlyer", kind: "attribution" },
+    { name: "Braze", kind: "messaging" },
+    { name: "Amazon Web Services", kind: "hosting" }
+  ]);
+  // "adjust your notification settings" is not the Adjust SDK
+  assert.ok(!signals.third_parties.some((p) => p.name === "Adjust"));
+
+  assert.deepEqual(signals.retention.map((r) => r.period),
+    ["while the account is open", "90 days", "2 years", "6 years"]);
+  assert.equal(signals.retention[1].text, "Crash reports are deleted after ninety (90) days.");
+
+  assert.equal(signals.controller.name, "Example Media Limited");
+  assert.match(signals.controller.text, /is the data controller/);
+  // The address is two lines below the "Data Protection Officer" sentence
+  assert.deepEqual(signals.dpo, { email: "dpo@examplemedia.ie", text: "We have appointed a Data Protection Officer." });
+  assert.deepEqual(signals.transfers, ["Standard Contractual Clauses", "EU-U.S. Data Privacy Framework"]);
+  assert.equal(signals.mentions_dpc, true);
+  assert.match(signals.dpc_text, /complain to the Data Protection Commission \(www\.dataprotection\.ie\)/);
+});
+
+test("a policy that names none of them gives empty signals, not guesses", async () => {
+  const signals = analysePolicy(await fixture("minimal.txt"));
+  assert.deepEqual(signals, { third_parties: [], retention: [], controller: null, dpo: null, transfers: [], mentions_dpc: false });
+});
+
+test("retrievePolicy records are dated by fetched_at, so they go stale", async (t) => {
+  const html = await fixture("example-media.html");
+  t.mock.method(globalThis, "fetch", async (url) => new Response(html, { headers: { "content-type": "text/html; charset=utf-8" } }));
+
+  const record = await retrievePolicy("https://examplemedia.ie/privacy");
+  assert.equal(record.final_url, "https://examplemedia.ie/privacy");
+  assert.equal(record.hash, hashText(policyText(html)));
+  assert.equal(record.signals.controller.name, "Example Media Limited");
+  assert.ok(cacheAgeDays(record) < 1);
+
+  const later = Date.parse(record.fetched_at) + 40 * 24 * 60 * 60 * 1000;
+  assert.ok(cacheAgeDays(record, later) > 39);
+  const plan = planRefresh([{ appId: "1", cached: record }], { maxAgeDays: 30, now: later });
+  assert.equal(plan.get("1"), "stale");
+});
+
+test("retrievePolicy refuses non-page responses and passes on HTTP errors", async (t) => {
+  t.mock.method(globalThis, "fetch", async (url) => url.endsWith(".pdf")
+    ? new Response("%PDF-1.7", { headers: { "content-type": "application/pdf" } })
+    : new Response("", { status: 429, headers: { "retry-after": "30" } }));
+
+  await assert.rejects(retrievePolicy("https://examplemedia.ie/privacy.pdf"), /application\/pdf, not a web page/);
+  await assert.rejects(retrievePolicy("https://examplemedia.ie/privacy"), (err) => err.status === 429 && err.retryAfterMs === 30000);
+});
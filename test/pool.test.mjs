@@ -0,0 +1,45 @@
+// Retry with backoff for requests to Apple (withRetry in scripts/pool.mjs).
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { withRetry } from "../scripts/pool.mjs";
+
+const httpError = (status, extra = {}) => Object.assign(new Error(`HTTP ${status}`), { status, ...extra });
+
+// A run of failures, then "ok"; records each attempt and each announced wait
+function flaky(errors) {
+  const attempts = [];
+  const waits = [];
+  const fn = async (attempt) => {
+    attempts.push(attempt);
+    if (errors.length) throw errors.shift();
+    return "ok";
+  };
+  return { fn, attempts, waits, onRetry: (err, attempt, wait) => waits.push([err.status, attempt, wait]) };
+}
+
+test("429s are retried with doubling backoff until the request goes through", async (t) => {
+  t.mock.method(Math, "random", () => 0.5); // no jitter
+  const run = flaky([httpError(429), httpError(429)]);
+  assert.equal(await withRetry(run.fn, { baseMs: 5, onRetry: run.onRetry }), "ok");
+  assert.deepEqual(run.attempts, [0, 1, 2]);
+  assert.deepEqual(run.waits, [[429, 1, 5], [429, 2, 10]]);
+});
+
+test("Retry-After wins when it asks for longer than the backoff", async (t) => {
+  t.mock.method(Math, "random", () => 0.5);
+  const run = flaky([httpError(429, { retryAfterMs: 30 }), httpError(503, { retryAfterMs: 1 })]);
+  assert.equal(await withRetry(run.fn, { baseMs: 5, onRetry: run.onRetry }), "ok");
+  assert.deepEqual(run.waits, [[429, 1, 30], [503, 2, 10]]);
+});
+
+test("gives up after `retries`, and never retries what another go won't fix", async () => {
+  const limited = flaky([httpError(429), httpError(429), httpError(429)]);
+  await assert.rejects(withRetry(limited.fn, { retries: 2, baseMs: 1, onRetry: limited.onRetry }), { status: 429 });
+  assert.deepEqual(limited.attempts, [0, 1, 2]);
+  assert.equal(limited.waits.length, 2);
+
+  const missing = flaky([httpError(404)]);
+  await assert.rejects(withRetry(missing.fn, { baseMs: 1, onRetry: missing.onRetry }), { status: 404 });
+  assert.deepEqual(missing.attempts, [0]);
+  assert.deepEqual(missing.waits, []);
+});
@@ -0,0 +1,82 @@
+// Nightly chart positions: how the updater records them (appendRanks in
+// scripts/rank-history.mjs), and the site's rank series (rankSeries in
+// script.js), which adds the live chart's rank when it is newer.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { appendRanks } from "../scripts/rank-history.mjs";
+import { loadSite } from "./helpers/site.mjs";
+
+const PREMIER_LEAGUE = "1138895159"; // #1 in the stored free chart of 2026-08-22
+
+let site;
+before(async () => {
+  site = await loadSite();
+  site.run(`state.ranks = ${JSON.stringify({
+    updated: "2026-08-22",
+    dates: ["2026-08-20", "2026-08-21", "2026-08-22"],
+    charts: { free: { [PREMIER_LEAGUE]: [3, 2, 1] }, paid: {}, games: {} }
+  })}`);
+});
+after(() => site?.close());
+
+const series = (board) => JSON.parse(site.run(
+  `JSON.stringify(rankSeries(state.boards.free.apps.find(a => a.app_id == ${PREMIER_LEAGUE}), 'free', ${board}))`));
+
+test("a snapshot board's rank is not counted a second time", () => {
+  // Offline, so the boards come from the dataset's stored charts
+  assert.deepEqual(JSON.parse(site.run("JSON.stringify([state.boards.free.snapshot, state.boards.free.asOf])")), [true, "2026-08-22"]);
+  assert.deepEqual(series("state.boards.free"), [3, 2, 1]);
+  const move = site.run("String(rankMoveHTML(rankSeries(state.boards.free.apps[0], 'free', state.boards.free)))");
+  assert.ok(move.includes(site.run("t('rank.up', { count: 1 })")), move);
+});
+
+test("a live chart adds its rank only when it is newer than the nightly data", () => {
+  assert.deepEqual(series("{ asOf: '2026-08-22', snapshot: false }"), [3, 2, 1]);
+  assert.deepEqual(series("{ asOf: '2026-08-23', snapshot: false }"), [3, 2, 1, 1]);
+  assert.deepEqual(series("{ asOf: '2026-08-21', snapshot: false }"), [3, 2, 1]);
+});
+
+test("the rendered card shows the stored days only", () => {
+  site.run("renderBoard('free')");
+  const card = site.document.querySelector("#list-free .app-card");
+  assert.equal(card.querySelector(".rank").textContent, "#1");
+  const spark = card.querySelector(".rank-spark svg");
+  assert.equal(spark.getAttribute("aria-label"), site.run("t('rank.spark', { count: 3, best: 1, worst: 3 })"));
+  assert.deepEqual(site.errors, []);
+});
+
+test("a day's ranks become a column; a rerun on the same date replaces it", () => {
+  let h = appendRanks(null, { free: [{ app_id: "1", rank: 1 }, { app_id: "2", rank: 2 }] }, "2026-08-20");
+  h = appendRanks(h, { free: [{ app_id: "2", rank: 1 }, { app_id: "3", rank: 2 }] }, "2026-08-21");
+  assert.deepEqual(h.dates, ["2026-08-20", "2026-08-21"]);
+  assert.deepEqual(h.charts.free, { "1": [1, null], "2": [2, 1], "3": [null, 2] });
+  assert.deepEqual([h.charts.paid, h.charts.games], [{}, {}]);
+
+  const rerun = appendRanks(h, { free: [{ app_id: "1", rank: 3 }] }, "2026-08-21");
+  assert.equal(rerun.updated, "2026-08-21");
+  assert.deepEqual(rerun.dates, h.dates);
+  assert.deepEqual(rerun.charts.free, { "1": [1, 3], "2": [2, null] });
+});
+
+test("a late day is put in date order", () => {
+  let h = appendRanks(null, { free: [{ app_id: "1", rank: 1 }] }, "2026-08-22");
+  h = appendRanks(h, { free: [{ app_id: "1", rank: 4 }] }, "2026-08-20");
+  assert.deepEqual(h.dates, ["2026-08-20", "2026-08-22"]);
+  assert.deepEqual(h.charts.free, { "1": [4, 1] });
+});
+
+test("only keepDays columns are kept, and apps gone from all of them are dropped", () => {
+  let h = null;
+  ["2026-08-20", "2026-08-21", "2026-08-22"].forEach((date, i) => {
+    h = appendRanks(h, { free: i ? [{ app_id: "2", rank: i }] : [{ app_id: "1", rank: 1 }] }, date, 2);
+  });
+  assert.deepEqual(h.dates, ["2026-08-21", "2026-08-22"]);
+  assert.deepEqual(h.charts.free, { "2": [1, 2] });
+});
+
+test("an app listed twice in a chart keeps its best rank; entries without a rank are skipped", () => {
+  const h = appendRanks(null, {
+    free: [{ app_id: "1", rank: 7 }, { app_id: "1", rank: 3 }, { app_id: "1", rank: 5 }, { app_id: "2", rank: null }, { rank: 1 }]
+  }, "2026-08-22");
+  assert.deepEqual(h.charts.free, { "1": [3] });
+});
@@ -0,0 +1,48 @@
+// Request letters and the rights they exercise: templates point at a right by
+// its id (checked by validate:data), and the rights cards find them that way.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { checkLetters } from "../scripts/validate-data.mjs";
+import { loadSite } from "./helpers/site.mjs";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const rights = (file) => fs.readFile(path.join(ROOT, "data", file), "utf8").then(JSON.parse);
+
+test("every letter template names a right in its own file", async () => {
+  for (const file of ["rights_ie.json", "rights_gb.json", "rights_eu.json"]) {
+    const data = await rights(file);
+    assert.deepEqual(checkLetters(data), [], file);
+    assert.deepEqual(data.letters.templates.map((l) => l.right), ["access", "erasure", "object", "portability"], file);
+  }
+  const broken = await rights("rights_ie.json");
+  broken.letters.templates[0].right = "Right of access";
+  broken.items[1].id = "informed";
+  assert.deepEqual(checkLetters(broken), [
+    "items: ids are not unique",
+    'letters.templates "access": right "Right of access" is not an item id'
+  ]);
+});
+
+test("a reworded right keeps its letter button", async () => {
+  const data = await rights("rights_ie.json");
+  const access = data.items.find((r) => r.id === "access");
+  access.title = { en: "Your right to see your data", ga: "Do cheart do shonraí a fheiceáil" };
+  const site = await loadSite({ files: { "data/rights_ie.json": data }, ready: "document.querySelector('#rights-cards .right-letter')" });
+  try {
+    const cards = [...site.document.querySelectorAll("#rights-cards .right-card")];
+    const withLetter = cards.filter((c) => c.querySelector(".right-letter"));
+    assert.deepEqual(withLetter.map((c) => c.querySelector(".right-letter").dataset.letter), ["access", "erasure", "portability", "object"]);
+    assert.equal(withLetter[0].querySelector(".right-title").textContent, "Your right to see your data");
+
+    // The generator's request picker shows the rights' titles
+    site.run("openLetterGenerator({ templateId: 'access' })");
+    const options = [...site.document.querySelectorAll('#glossary-body [data-letter-field="template"] option')].map((o) => o.textContent);
+    assert.equal(options[0], "Your right to see your data (Article 15 GDPR)");
+    assert.deepEqual(site.errors, []);
+  } finally {
+    site.close();
+  }
+});
@@ -0,0 +1,24 @@
+// Shareable view state in the URL (updateRoute/readRoute in script.js), in
+// browsers whose URLSearchParams has no `size` (Safari before 17).
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadSite } from "./helpers/site.mjs";
+
+test("board, range and list views reach the hash without URLSearchParams.size", async () => {
+  const site = await loadSite();
+  try {
+    site.run("Object.defineProperty(URLSearchParams.prototype, 'size', { get: () => undefined, configurable: true })");
+    site.run("updateRoute({ board: 'paid', range: 2, views: { ...readRoute().views, games: { sort: 'score-asc', filter: '' } } })");
+    const { hash } = site.window.location;
+    assert.equal(hash, "#board=paid&range=2&games.sort=score-asc");
+    const route = JSON.parse(site.run("JSON.stringify(readRoute())"));
+    assert.deepEqual([route.board, route.range, route.views.games.sort], ["paid", 2, "score-asc"]);
+
+    // With nothing to record, a plain anchor is left alone
+    site.window.history.replaceState(null, "", "#rights");
+    site.run("updateRoute({ board: null, views: { ...readRoute().views, games: { sort: 'rank', filter: '' } } })");
+    assert.equal(site.window.location.hash, "#rights");
+  } finally {
+    site.close();
+  }
+});
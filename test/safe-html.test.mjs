@@ -0,0 +1,141 @@
+// Escape-by-default rendering in script.js: the html`…` helpers, and the card,
+// drawer and rights builders fed records with markup and script URLs in them.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { loadSite, activeContent } from "./helpers/site.mjs";
+
+const IMG = '<img src=x onerror="window.pwned=1">';
+const SCRIPT = '"><script>window.pwned=2</script>';
+
+let site;
+before(async () => { site = await loadSite(); });
+after(() => site?.close());
+
+/** `value` built from JSON inside the page, so it is one of the page's own objects */
+const inPage = (value) => `JSON.parse(${JSON.stringify(JSON.stringify(value))})`;
+
+/** A real dataset entry with markup and script URLs in every field the builders show */
+function hostileApp() {
+  const app = site.run("state.localApps.find(a => Object.keys(a.privacy_details || {}).length)");
+  const copy = JSON.parse(JSON.stringify(app));
+  const cat = Object.keys(copy.privacy_details)[0];
+  copy.privacy_details[cat].subtypes = [`Sub ${IMG}`];
+  return {
+    ...copy,
+    name: `Evil ${IMG}`,
+    developer: SCRIPT,
+    tracking_summary: [`Summary ${IMG}`],
+    privacy_policy_url: "javascript:window.pwned=3",
+    developer_website_url: " JaVaScRiPt:window.pwned=4",
+    sources: [
+      { label: `Source ${IMG}`, url: "javascript:window.pwned=5" },
+      { label: "Data URL", url: "data:text/html,<script>window.pwned=6</script>" },
+      { label: "App Store", url: "https://apps.apple.com/ie/app/id1" }
+    ],
+    metadata: { as_of: "2026-10-01", genre: `Genre ${IMG}`, formatted_price: "Free", version: "1.0", bundle_id: SCRIPT, seller_url: "javascript:window.pwned=7" },
+    privacy_policy: {
+      word_count: 500,
+      third_parties: [{ name: `Name ${IMG}`, kind: `Kind ${IMG}` }],
+      retention: [{ period: IMG, text: SCRIPT }],
+      controller: { name: `Controller ${IMG}` },
+      dpo: { email: '"onmouseover="window.pwned=8"@x.ie' },
+      transfers: [IMG],
+      mentions_dpc: true,
+      dpc_text: SCRIPT,
+      fetched_on: "2026-10-01"
+    }
+  };
+}
+
+function assertInert(root) {
+  assert.deepEqual(activeContent(root), []);
+  assert.equal(site.window.pwned, undefined);
+}
+
+test("escapeHTML escapes all five characters", () => {
+  assert.equal(site.run(`escapeHTML(${JSON.stringify(`<a href="x" title='y'>&</a>`)})`),
+    "&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;");
+  assert.equal(site.run("escapeHTML(null) + escapeHTML(undefined) + escapeHTML(0)"), "0");
+});
+
+test("html`…` escapes values unless they are html`…` themselves", () => {
+  const markup = site.run(`String(html\`<p title="\${${JSON.stringify(SCRIPT)}}">\${${JSON.stringify(IMG)}}\${html\`<b>ok</b>\`}</p>\`)`);
+  assert.equal(markup,
+    '<p title="&quot;&gt;&lt;script&gt;window.pwned=2&lt;/script&gt;">&lt;img src=x onerror=&quot;window.pwned=1&quot;&gt;<b>ok</b></p>');
+  assert.equal(site.run("String(html`<ul>${['<i>', html`<li>a</li>`, null, undefined, false, 0]}</ul>`)"), "<ul>&lt;i&gt;<li>a</li>0</ul>");
+  assert.equal(site.run("String(joinHTML(['<a>', html`<b></b>`], '<br>'))"), "&lt;a&gt;&lt;br&gt;<b></b>");
+});
+
+test("safeUrl passes http(s) only", () => {
+  const check = (url) => site.run(`safeUrl(${JSON.stringify(url)})`);
+  assert.equal(check("https://example.ie/privacy"), "https://example.ie/privacy");
+  assert.equal(check("http://example.ie/a b"), "http://example.ie/a%20b");
+  for (const url of ["javascript:alert(1)", " JaVaScRiPt:alert(1)", "java\nscript:alert(1)", "data:text/html,<script>alert(1)</script>",
+    "vbscript:msgbox(1)", "mailto:x@example.ie", "", null, undefined]) {
+    assert.equal(check(url), "", String(url));
+  }
+});
+
+test("setHTML writes html`…` as markup and anything else as text", () => {
+  const { document } = site;
+  const el = document.createElement("div");
+  site.window.target = el;
+  site.run(`setHTML(target, ${JSON.stringify(IMG)})`);
+  assert.equal(el.textContent, IMG);
+  assert.equal(el.children.length, 0);
+  site.run("setHTML(target, html`<b>${'<i>x</i>'}</b>`)");
+  assert.equal(el.innerHTML, "<b>&lt;i&gt;x&lt;/i&gt;</b>");
+  site.run("setHTML(target, null)");
+  assert.equal(el.innerHTML, "");
+});
+
+test("an app card shows hostile data as text", () => {
+  const app = hostileApp();
+  const list = site.document.getElementById("list-free");
+  site.run(`renderAppsInto(document.getElementById('list-free'), [${inPage(app)}])`);
+  const card = list.querySelector(".app-card");
+
+  assertInert(card);
+  assert.equal(card.querySelector(".name").textContent, app.name);
+  assert.equal(card.querySelector(".developer").textContent, SCRIPT);
+  assert.match(card.querySelector(".app-meta").textContent, /^Genre <img src=x onerror=/);
+  assert.ok(card.querySelector(".tracking").textContent.includes(`Summary ${IMG}`));
+  assert.deepEqual([...card.querySelectorAll(".sources a")].map((a) => a.getAttribute("href")), ["https://apps.apple.com/ie/app/id1"]);
+  assert.equal(card.querySelector("img[onerror]"), null);
+});
+
+test("the app drawer shows hostile data as text", () => {
+  const app = hostileApp();
+  site.run(`openAppDrawer(${inPage(app)})`);
+  const drawer = site.document.getElementById("glossary-drawer");
+
+  assertInert(drawer);
+  assert.equal(site.document.getElementById("glossary-title").textContent, app.name);
+  const text = drawer.textContent;
+  for (const shown of [`Name ${IMG}`, `Controller ${IMG}`, SCRIPT, `Genre ${IMG}`]) assert.ok(text.includes(shown), shown);
+  // The DPO address stays inside its href, and the script links are gone
+  const hrefs = [...drawer.querySelectorAll("a[href]")].map((a) => a.getAttribute("href"));
+  assert.ok(hrefs.includes('mailto:"onmouseover="window.pwned=8"@x.ie'));
+  assert.ok(!hrefs.some((h) => /^\s*(javascript|data):/i.test(h)));
+  assert.equal(drawer.querySelector("[onmouseover]"), null);
+  site.run("closeDrawer()");
+});
+
+test("rights cards show hostile data as text and drop script links", () => {
+  site.run(`state.rights = ${inPage([
+    { title: `Right ${IMG}`, description: { en: SCRIPT }, learn_more: "javascript:window.pwned=9" },
+    { title: "Data URL", description: "x", learn_more: "data:text/html,<script>window.pwned=10</script>" },
+    { title: "Fine", description: "x", learn_more: "https://www.dataprotection.ie/" }
+  ])}; state.rightsMeta = ${inPage({ heading: { en: `Heading ${IMG}` } })}; renderRights();`);
+  const cards = site.document.getElementById("rights-cards");
+
+  assertInert(cards);
+  assert.equal(site.document.getElementById("rights-heading").textContent, `Heading ${IMG}`);
+  assert.equal(cards.querySelector(".right-title").textContent, `Right ${IMG}`);
+  assert.equal(cards.querySelector(".right-desc").textContent, SCRIPT);
+  assert.deepEqual([...cards.querySelectorAll(".right-learn a")].map((a) => a.getAttribute("href")), ["https://www.dataprotection.ie/"]);
+});
+
+test("the page loaded without errors", () => {
+  assert.deepEqual(site.errors, []);
+});
@@ -0,0 +1,126 @@
+// scoring.js on real entries from data/apps.json, and the site's choice
+// between a stored score and a recomputed one (appScore in script.js).
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  SCORING_VERSION, buildChipSections, computePrivacyScore, resolveWeights, storedScore, withStoredScore
+} from "../scoring.js";
+import { loadSite } from "./helpers/site.mjs";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const dataset = JSON.parse(await fs.readFile(path.join(ROOT, "data", "apps.json"), "utf8"));
+const byId = (id) => structuredClone(dataset.apps.find((a) => String(a.app_id) === id));
+
+const PREMIER_LEAGUE = "1138895159";
+const LEAP_CARD = "1415550737";
+const REVOLUT = "932493382";
+
+test("buildChipSections puts each category in its most revealing section", () => {
+  assert.deepEqual(buildChipSections(byId(PREMIER_LEAGUE)), {
+    track: ["Identifiers", "Usage Data", "Location", "Contact Info", "User Content", "Diagnostics"],
+    linked: [],
+    notLinked: []
+  });
+  assert.deepEqual(buildChipSections(byId(LEAP_CARD)), { track: [], linked: [], notLinked: ["Diagnostics"] });
+
+  // Without details the three lists are used, each category once
+  const { privacy_details, ...labelsOnly } = byId(REVOLUT);
+  assert.deepEqual(buildChipSections(labelsOnly), {
+    track: ["Contact Info", "Identifiers", "Purchases", "Usage Data", "Diagnostics"],
+    linked: [],
+    notLinked: []
+  });
+});
+
+test("computePrivacyScore: weights, purpose bonuses, the cap and the curve", () => {
+  const pl = computePrivacyScore(byId(PREMIER_LEAGUE));
+  assert.equal(pl.score, 50);
+  assert.equal(pl.band, "Medium");
+  const track = pl.sections.find((s) => s.section === "track");
+  // Identifiers: 12 base + 6 advertising + 2 analytics + 3 personalisation + 0 functionality
+  assert.deepEqual(track.items.find((i) => i.category === "Identifiers"),
+    { category: "Identifiers", base: 12, bonuses: [
+      { purpose: "Third-Party Advertising", bonus: 6 }, { purpose: "Analytics", bonus: 2 },
+      { purpose: "Product Personalization", bonus: 3 }, { purpose: "App Functionality", bonus: 0 }
+    ], penalty: 0, total: 23 });
+  assert.equal(track.sum, 116);
+  assert.equal(track.value, 70);
+  assert.equal(track.capped, true);
+
+  const leap = computePrivacyScore(byId(LEAP_CARD));
+  assert.deepEqual([leap.score, leap.band], [9, "Low"]);
+  assert.equal(leap.parts.sNotLinked, Math.sqrt(1) * Math.sqrt(20));
+
+  const revolut = computePrivacyScore(byId(REVOLUT));
+  assert.deepEqual([revolut.score, revolut.band, revolut.sections[0].capped], [46, "Medium", false]);
+});
+
+test("a category moved out of tracking scores in its own section", () => {
+  const app = byId(PREMIER_LEAGUE);
+  app.privacy_details.Location = { ...app.privacy_details.Location, tracked: false, purposes: ["Analytics"] };
+  const { score, sections } = computePrivacyScore(app);
+  const [track, linked] = sections;
+  assert.equal(track.items.length, 5);
+  // Location: 9 linked base + 2 analytics
+  assert.deepEqual(linked.items, [{ category: "Location", base: 9, bonuses: [{ purpose: "Analytics", bonus: 2 }], penalty: 0, total: 11 }]);
+  assert.equal(linked.value, Math.sqrt(11) * Math.sqrt(50));
+  assert.ok(score > 50);
+});
+
+test("profiles change the score without touching the stored one", () => {
+  const app = byId(PREMIER_LEAGUE);
+  const ads = computePrivacyScore(app, resolveWeights({ sectionFactor: { track: 1.5 }, purposeBonus: { "Third-Party Advertising": 12 } }));
+  assert.ok(ads.score > app.score);
+  assert.equal(storedScore(app).score, app.score);
+});
+
+test("every stored score in apps.json matches the current engine", () => {
+  for (const app of dataset.apps) {
+    const stored = storedScore(app);
+    assert.ok(stored, `${app.name} has no label`);
+    assert.deepEqual(
+      { score: app.score, band: app.band, score_parts: app.score_parts, scoring_version: app.scoring_version },
+      stored, app.name);
+  }
+});
+
+test("withStoredScore leaves an up-to-date record as it is and fixes a stale one", () => {
+  const app = byId(REVOLUT);
+  assert.equal(JSON.stringify(withStoredScore(app)), JSON.stringify(app));
+
+  const stale = { ...app, score: 1, band: "Low", scoring_version: 0 };
+  const fixed = withStoredScore(stale);
+  assert.deepEqual([fixed.score, fixed.band, fixed.scoring_version], [46, "Medium", SCORING_VERSION]);
+  assert.deepEqual(Object.keys(fixed), Object.keys(stale));
+
+  const { score, band, score_parts, scoring_version, ...unscored } = app;
+  assert.deepEqual(Object.keys(withStoredScore(unscored)).slice(-4), ["score", "band", "score_parts", "scoring_version"]);
+
+  const noLabel = withStoredScore({ app_id: "1", name: "New", score: 50, band: "Medium", score_parts: {}, scoring_version: 1 });
+  assert.deepEqual(noLabel, { app_id: "1", name: "New" });
+});
+
+test("appScore uses the stored score only for Balanced and the current engine", async () => {
+  const site = await loadSite();
+  try {
+    const appScore = (app, profile = "balanced") => site.run(
+      `state.scoring = { id: ${JSON.stringify(profile)}, custom: {} }; appScore(JSON.parse(${JSON.stringify(JSON.stringify(app))}))`);
+    const app = byId(PREMIER_LEAGUE);
+
+    // A stored score is trusted as it stands, so a planted one shows through
+    assert.deepEqual({ ...appScore({ ...app, score: 12, band: "Low" }) }, { score: 12, band: "Low" });
+    // Written by another engine version (or none): recomputed
+    for (const scoring_version of [SCORING_VERSION - 1, SCORING_VERSION + 1, undefined]) {
+      const result = appScore({ ...app, score: 12, band: "Low", scoring_version });
+      assert.deepEqual([result.score, result.band], [50, "Medium"], String(scoring_version));
+      assert.ok(Array.isArray(result.sections));
+    }
+    // Another profile never uses the stored Balanced score
+    assert.ok(appScore({ ...app, score: 12, band: "Low" }, "ads").score > 50);
+  } finally {
+    site.close();
+  }
+});
@@ -0,0 +1,82 @@
+// The in-page extractor and normalisePrivacy() against saved App Store pages
+// (test/fixtures/appstore/*.rendered.html: synthetic copies of the DOM with "See Details"
+// open, see test/fixtures/README.md).
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import { extractPrivacyFromPage, normalisePrivacy } from "../scripts/scrape-privacy.mjs";
+import { pageFromFile } from "./helpers/jsdom-page.mjs";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "appstore");
+
+async function scrapeFixture(name) {
+  const page = await pageFromFile(path.join(FIXTURES, name));
+  try { return await extractPrivacyFromPage(page); }
+  finally { page.close(); }
+}
+
+test("each summary card is read on its own, even when the cards share a container", async () => {
+  const raw = await scrapeFixture("premier-league.rendered.html");
+  assert.deepEqual(raw.summary, {
+    "Data Used to Track You": ["Contact Info", "Identifiers", "Usage Data"],
+    "Data Linked to You": ["Contact Info", "Location", "User Content", "Identifiers", "Usage Data", "Diagnostics"],
+    "Data Not Linked to You": ["Location", "Diagnostics"]
+  });
+  assert.equal(raw.privacyPolicyUrl, "https://www.premierleague.com/privacy-policy");
+  assert.equal(raw.developerWebsiteUrl, "https://www.premierleague.com/");
+});
+
+test("the details view is split by purpose, and tracking has none", async () => {
+  const raw = await scrapeFixture("premier-league.rendered.html");
+  assert.deepEqual(raw.detail["Data Used to Track You"].map((g) => g.purpose), [null]);
+  assert.deepEqual(raw.detail["Data Linked to You"].map((g) => g.purpose),
+    ["Third-Party Advertising", "Analytics", "Product Personalization", "App Functionality"]);
+  const functionality = raw.detail["Data Linked to You"].find((g) => g.purpose === "App Functionality");
+  assert.deepEqual(functionality.categories, [
+    { category: "Contact Info", subtypes: ["Name", "Email Address"] },
+    { category: "Identifiers", subtypes: ["User ID"] },
+    { category: "Diagnostics", subtypes: ["Crash Data"] }
+  ]);
+});
+
+test("normalisePrivacy keeps the sections apart", async () => {
+  const { privacy_labels: labels, privacy_details: details, data_not_collected } =
+    normalisePrivacy(await scrapeFixture("premier-league.rendered.html"));
+
+  // The old scraper stored one list three times over
+  const lists = Object.values(labels).map((l) => l.join("|"));
+  assert.equal(new Set(lists).size, 3);
+  assert.deepEqual(labels["Data Not Linked to You"], ["Location", "Diagnostics"]);
+  assert.equal(data_not_collected, false);
+
+  const contact = details["Contact Info"];
+  assert.deepEqual([contact.tracked, contact.linked, contact.notLinked], [true, true, false]);
+  assert.deepEqual(contact.sections.tracked, { subtypes: ["Email Address"], purposes: [] });
+  assert.deepEqual(contact.sections.linked, {
+    subtypes: ["Email Address", "Name"],
+    purposes: ["Third-Party Advertising", "App Functionality"]
+  });
+
+  const diagnostics = details.Diagnostics;
+  assert.deepEqual(diagnostics.sections.linked.purposes, ["App Functionality"]);
+  assert.deepEqual(diagnostics.sections.notLinked.purposes, ["Analytics"]);
+  assert.deepEqual(diagnostics.sections.notLinked.subtypes, ["Crash Data", "Performance Data"]);
+  // Category-level purposes and subtypes are the union, in Apple's order
+  assert.deepEqual(diagnostics.purposes, ["Analytics", "App Functionality"]);
+  assert.deepEqual(diagnostics.subtypes, ["Crash Data", "Performance Data"]);
+
+  const location = details.Location;
+  assert.deepEqual(location.sections.linked.purposes, ["Analytics"]);
+  assert.deepEqual(location.sections.notLinked.purposes, ["App Functionality"]);
+  assert.equal(location.tracked, false);
+});
+
+test("a Data Not Collected card gives an empty label", async () => {
+  const raw = await scrapeFixture("not-collected.rendered.html");
+  const out = normalisePrivacy(raw);
+  assert.equal(out.data_not_collected, true);
+  assert.deepEqual(out.privacy_details, {});
+  assert.deepEqual(Object.values(out.privacy_labels), [[], [], []]);
+  assert.equal(raw.privacyPolicyUrl, "https://about.leapcard.ie/privacy-statement");
+});
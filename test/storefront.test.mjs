@@ -0,0 +1,50 @@
+// Switching App Store country (setCountry in script.js): nothing from the old
+// storefront stays on screen, and the page names the new one in its language.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadSite } from "./helpers/site.mjs";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const read = async (file) => JSON.parse(await fs.readFile(path.join(ROOT, file), "utf8"));
+const dataset = await read("data/apps.json");
+const [en, ga] = await Promise.all([read("locales/en.json"), read("locales/ga.json")]);
+
+test("switching storefront clears search, compare and the drawer, and renames the page", async () => {
+  const site = await loadSite({ files: { "data/apps_gb.json": { ...dataset, country: "gb" } } });
+  try {
+    const { document, window } = site;
+    assert.equal(document.title, en["page.title"].replace("{country}", "Ireland"));
+    assert.match(document.getElementById("intro-body").textContent, /popular iOS apps in Ireland collect/);
+
+    // Old storefront state: a search, two apps in the compare tray and an open drawer
+    const input = document.getElementById("search-input");
+    input.value = "premier";
+    input.dispatchEvent(new window.Event("input"));
+    site.run("toggleCompare(state.boards.free.apps[0]); toggleCompare(state.boards.free.apps[1]); showCompare(); showApp(state.boards.free.apps[0])");
+    assert.ok(document.querySelector("#search-results .app-card"));
+    assert.match(window.location.search, /app=.*compare=|compare=.*app=/);
+
+    await site.run("setCountry('gb')");
+    assert.equal(input.value, "");
+    assert.equal(document.querySelector("#search-results .app-card"), null);
+    assert.equal(site.run("state.searchResults.length + state.compare.length"), 0);
+    assert.equal(document.getElementById("compare-tray").hidden, true);
+    assert.equal(document.getElementById("compare-view").hidden, true);
+    assert.ok(!document.getElementById("glossary-drawer").classList.contains("open"));
+    assert.equal(window.location.search, "");
+
+    assert.equal(document.title, en["page.title"].replace("{country}", en["country.gb"]));
+    assert.match(document.getElementById("intro-body").textContent, /popular iOS apps in the United Kingdom collect/);
+    assert.equal(document.querySelector('#country-select option[value="gb"]').textContent, `🇬🇧 ${en["country.gb"]}`);
+
+    await site.run("setLanguage('ga')");
+    assert.equal(document.title, ga["page.title"].replace("{country}", ga["country.gb"]));
+    assert.ok(document.getElementById("intro-body").textContent.includes(` ${ga["country.gb.in"]} `));
+    assert.deepEqual(site.errors, []);
+  } finally {
+    site.close();
+  }
+});
@@ -0,0 +1,170 @@
+// migratePrivacy() on records written before the shared taxonomy, and the
+// site's purpose rows (groupCategoryDetailsByPurpose in script.js) on real
+// apps.json entries, down to the glossary drawer a category chip opens.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { PURPOSES, PURPOSE_LABELS, migratePrivacy } from "../taxonomy.js";
+import { computePrivacyScore } from "../scoring.js";
+import { loadSite } from "./helpers/site.mjs";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const dataset = JSON.parse(await fs.readFile(path.join(ROOT, "data", "apps.json"), "utf8"));
+
+// As the old scraper and site stored it: data types as categories, short purpose names
+const OLD_RECORD = {
+  app_id: "1",
+  name: "Chat",
+  privacy_labels: {
+    "Data Used to Track You": ["Identifiers"],
+    "Data Linked to You": ["Messages", "Photos or Videos", "Email Address", "Contact Info"],
+    "Data Not Linked to You": ["Audio Data", "Crash Data"]
+  },
+  privacy_details: {
+    "Identifiers": { tracked: true, linked: false, notLinked: false, subtypes: ["Device ID"], purposes: ["Advertising", "Fraud Prevention"] },
+    "Messages": { tracked: false, linked: true, notLinked: false, subtypes: [], purposes: ["App Functionality", "Personalization"] },
+    "Photos or Videos": { tracked: false, linked: true, notLinked: false, subtypes: [], purposes: ["Fraud Prevention, Security, and Compliance"] },
+    "Audio Data": { tracked: false, linked: false, notLinked: true, subtypes: [], purposes: ["Other"] },
+    "Contact Info": {
+      tracked: false, linked: true, notLinked: false, subtypes: ["Email Address"], purposes: ["Developer's Advertising"],
+      sections: { linked: { subtypes: ["Email Address"], purposes: ["Developer's Advertising", "Fraud Prevention"] } }
+    },
+    "Not a category": { tracked: true, subtypes: [], purposes: [] }
+  }
+};
+
+test("data types stored as categories fold into Apple's category", () => {
+  const out = migratePrivacy(OLD_RECORD);
+  assert.deepEqual(out.privacy_labels, {
+    "Data Used to Track You": ["Identifiers"],
+    "Data Linked to You": ["Contact Info", "User Content"],
+    "Data Not Linked to You": ["User Content", "Diagnostics"]
+  });
+  assert.deepEqual(Object.keys(out.privacy_details), ["Identifiers", "User Content", "Contact Info"]);
+  const content = out.privacy_details["User Content"];
+  assert.deepEqual([content.tracked, content.linked, content.notLinked], [false, true, true]);
+  assert.deepEqual(content.subtypes, ["Messages", "Photos or Videos", "Audio Data"]);
+});
+
+test("old purpose names become Apple's, in Apple's order", () => {
+  const { privacy_details: details } = migratePrivacy(OLD_RECORD);
+  // Fraud prevention is part of App Functionality on the App Store
+  assert.deepEqual(details.Identifiers.purposes, ["Third-Party Advertising", "App Functionality"]);
+  assert.deepEqual(details["User Content"].purposes, ["Product Personalization", "App Functionality", "Other Purposes"]);
+  assert.deepEqual(details["Contact Info"].purposes, ["Developer's Advertising or Marketing"]);
+  assert.deepEqual(details["Contact Info"].sections.linked,
+    { subtypes: ["Email Address"], purposes: ["Developer's Advertising or Marketing", "App Functionality"] });
+  assert.equal(details["User Content"].sections, undefined);
+});
+
+test("history snapshots' purpose lists are migrated too", () => {
+  const out = migratePrivacy({
+    app_id: "1",
+    purposes: { "Messages": ["Advertising"], "User Content": ["Analytics", "Fraud Prevention"], "Precise Location": ["Other"], "Bogus": ["Analytics"] }
+  });
+  assert.deepEqual(out.purposes, {
+    "User Content": ["Third-Party Advertising", "Analytics", "App Functionality"],
+    "Location": ["Other Purposes"]
+  });
+});
+
+test("migrating is a no-op on canonical records, including all of apps.json", () => {
+  const once = migratePrivacy(OLD_RECORD);
+  assert.deepEqual(migratePrivacy(once), once);
+  for (const app of dataset.apps) assert.deepEqual(migratePrivacy(app), app, app.name);
+  assert.equal(migratePrivacy(null), null);
+});
+
+test("migrated records score with Apple's names: Fraud Prevention adds nothing", () => {
+  const migrated = migratePrivacy(OLD_RECORD);
+  const identifiers = computePrivacyScore(migrated).sections[0].items[0];
+  assert.deepEqual(identifiers.bonuses, [
+    { purpose: "Third-Party Advertising", bonus: 6 },
+    { purpose: "App Functionality", bonus: 0 }
+  ]);
+  // Photos, messages and audio count once, as User Content
+  const linked = computePrivacyScore(migrated).sections[1].items.map((i) => [i.category, i.base]);
+  assert.deepEqual(linked, [["User Content", 7], ["Contact Info", 8]]);
+});
+
+test("groupCategoryDetailsByPurpose gives purpose rows for real entries", async () => {
+  const site = await loadSite();
+  try {
+    const group = (detail) => JSON.parse(site.run(
+      `JSON.stringify(groupCategoryDetailsByPurpose(JSON.parse(${JSON.stringify(JSON.stringify(detail))})))`));
+    let checked = 0;
+    for (const app of dataset.apps) {
+      for (const [category, detail] of Object.entries(app.privacy_details || {})) {
+        const rows = group(detail);
+        if (!detail.purposes.length) continue;
+        assert.ok(rows.purposes.length > 0, `${app.name}: ${category}`);
+        assert.deepEqual(rows.purposes.map((r) => r.purpose), PURPOSES.filter((p) => detail.purposes.includes(p)));
+        for (const r of rows.purposes) assert.equal(r.label, PURPOSE_LABELS[r.purpose]);
+        checked++;
+      }
+    }
+    assert.ok(checked > 100, `only ${checked} categories with purposes`);
+
+    const premierLeague = dataset.apps.find((a) => String(a.app_id) === "1138895159");
+    const identifiers = group(premierLeague.privacy_details.Identifiers);
+    assert.deepEqual(identifiers.purposes.map((r) => r.label),
+      ["Third-party advertising", "Analytics", "Product personalisation", "App functionality"]);
+    assert.deepEqual(identifiers.status, { tracked: true, linked: true, notLinked: true });
+
+    // An unmigrated detail block still lands on Apple's purposes
+    const old = group(OLD_RECORD.privacy_details.Identifiers);
+    assert.deepEqual(old.purposes.map((r) => r.purpose), ["Third-Party Advertising", "App Functionality"]);
+    assert.equal(group(null), null);
+  } finally {
+    site.close();
+  }
+});
+
+test("clicking a category chip lists its purposes in Apple's order, with each section's data types", async () => {
+  const site = await loadSite();
+  try {
+    const { document } = site;
+    const openChip = async (term) => {
+      site.run("closeDrawer()");
+      document.getElementById("glossary-title").textContent = "";
+      const card = document.querySelector("#list-free .app-card");
+      card.querySelector(`li[data-term="${term}"]`).dispatchEvent(new site.window.MouseEvent("click", { bubbles: true }));
+      const title = site.run(`categoryLabel(${JSON.stringify(term)})`);
+      for (const start = Date.now(); document.getElementById("glossary-title").textContent !== title; ) {
+        if (Date.now() - start > 5000) throw new Error(`drawer for ${term} did not open`);
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      return [...document.querySelectorAll("#glossary-body .purpose-row")].map((row) => [
+        row.querySelector(".purpose-title").textContent,
+        [...row.querySelectorAll(".purpose-items .chip")].map((c) => c.textContent)
+      ]);
+    };
+
+    // Premier League tops the stored free chart; its label gives purposes but no data types
+    assert.equal(document.querySelector("#list-free .app-card .name").textContent, "Premier League - Scores, News");
+    assert.deepEqual(await openChip("Identifiers"), [
+      ["Third-party advertising", []], ["Analytics", []], ["Product personalisation", []], ["App functionality", []]
+    ]);
+
+    // Per-section detail, purposes out of order and under old names: each purpose lists its own sections' data types
+    site.run(`state.boards.free.apps[0].privacy_details.Identifiers = ${JSON.stringify({
+      tracked: true, linked: true, notLinked: false,
+      subtypes: ["Device ID", "User ID"],
+      purposes: ["App Functionality", "Analytics", "Advertising"],
+      sections: {
+        tracked: { subtypes: ["Device ID"], purposes: ["Advertising"] },
+        linked: { subtypes: ["User ID", "Device ID"], purposes: ["App Functionality", "Analytics"] }
+      }
+    })}`);
+    assert.deepEqual(await openChip("Identifiers"), [
+      ["Third-party advertising", ["Device ID"]], ["Analytics", ["User ID", "Device ID"]], ["App functionality", ["User ID", "Device ID"]]
+    ]);
+    const status = [...document.querySelectorAll("#glossary-body .drawer-row .badge")].map((b) => b.textContent);
+    assert.deepEqual(status, [site.run("t('term.tracked')"), site.run("t('term.linked')")]);
+    assert.deepEqual(site.errors, []);
+  } finally {
+    site.close();
+  }
+});
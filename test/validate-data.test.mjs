@@ -0,0 +1,31 @@
+// The checks beyond the schema that npm run validate:data and the updater's
+// pre-write gate share (checkConsistency in scripts/validate-data.mjs).
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { validateData, checkConsistency } from "../scripts/validate-data.mjs";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const dataset = JSON.parse(await fs.readFile(path.join(ROOT, "data", "apps.json"), "utf8"));
+
+test("the published dataset passes", async () => {
+  assert.equal((await validateData("apps", dataset)).ok, true);
+  assert.deepEqual(checkConsistency("apps", dataset), []);
+});
+
+test("a schema-valid dataset with a stale score or a dangling chart entry is refused", async () => {
+  const bad = structuredClone(dataset);
+  bad.apps[0].score = bad.apps[0].score + 1;
+  bad.charts.free.apps.push({ app_id: "999", rank: 51 });
+  assert.equal((await validateData("apps", bad)).ok, true);
+  const problems = checkConsistency("apps", bad);
+  assert.equal(problems.length, 2);
+  assert.match(problems[0], new RegExp(`^apps\\[0\\] .*stores ${bad.apps[0].score}`));
+  assert.equal(problems[1], "charts.free #51: app 999 is not in apps");
+});
+
+test("other kinds have no checks beyond the schema", () => {
+  assert.deepEqual(checkConsistency("ranks", { dates: [], charts: {} }), []);
+});